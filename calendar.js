@@ -0,0 +1,82 @@
+// iCalendar (RFC 5545) documents for the `calendar` command and the calendar feed.
+//
+// Only what calendar apps need for spawn reminders is supported: timed events in UTC with an
+// optional reminder (VALARM). Text is escaped and long lines are folded as the RFC requires, so
+// boss names and locations can contain any characters.
+
+const PRODUCT_ID = '-//L2M Boss Tracker//Spawn Calendar//EN';
+
+// 20250131T174500Z
+function formatDateTime(timestamp) {
+    return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a single space
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const character of line) {
+        const bytes = Buffer.byteLength(character, 'utf8');
+        if (currentBytes + bytes > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += character;
+        currentBytes += bytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+// Builds a calendar. Each event is { uid, start, end, summary, description?, location?, alarmMinutes? }
+// with start/end as ms timestamps; alarmMinutes adds a reminder that long before the start.
+function buildCalendar({ name, events, now = Date.now() }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+    ];
+
+    events.forEach(event => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${escapeText(event.uid)}`,
+            `DTSTAMP:${formatDateTime(now)}`,
+            `DTSTART:${formatDateTime(event.start)}`,
+            `DTEND:${formatDateTime(Math.max(event.end, event.start))}`,
+            `SUMMARY:${escapeText(event.summary)}`,
+        );
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+        if (event.alarmMinutes > 0) {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${escapeText(event.summary)}`,
+                `TRIGGER:-PT${Math.round(event.alarmMinutes)}M`,
+                'END:VALARM',
+            );
+        }
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    buildCalendar,
+};
@@ -1,7 +1,14 @@
 // Import necessary classes from discord.js
-const { Client, GatewayIntentBits, Collection, Partials, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, PermissionsBitField, StringSelectMenuBuilder } = require('discord.js');
-const fs = require('fs'); // File System module for saving/loading data
+const { Client, GatewayIntentBits, Collection, Partials, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, PermissionsBitField, StringSelectMenuBuilder, UserSelectMenuBuilder, SlashCommandBuilder, ChannelType, AttachmentBuilder, ModalBuilder, TextInputBuilder, TextInputStyle, RESTJSONErrorCodes } = require('discord.js');
+const fs = require('fs'); // File System module for reading the import file
 const path = require('path'); // Path module for constructing file paths
+const crypto = require('crypto'); // Secret tokens for the calendar feed and the API
+const { createStore, flushAllStores } = require('./storage'); // Crash-safe, debounced persistence
+const { createScheduler } = require('./scheduler'); // Ordered job queue behind every timer
+const { buildCalendar } = require('./calendar'); // iCalendar files of upcoming spawns
+const { createWebServer } = require('./webserver'); // Optional HTTP server for the calendar feed and the API
+const { createWebhookSender } = require('./webhooks'); // Signed outbound webhooks with retries
+const { getTimeZoneOffset, zonedTimeToTimestamp, parseKillTime, parseServerUpTime } = require('./timeparse'); // Time zone math and typed-in times
 
 // If using dotenv for token storage
 require('dotenv').config();
@@ -14,12 +21,16 @@ if (!BOT_TOKEN) {
     process.exit(1); // Exit the application if the token is not found
 }
 
+// Prefix (!) commands need the privileged Message Content intent; slash commands do not.
+// Set DISABLE_PREFIX_COMMANDS=true to run with slash commands only.
+const ENABLE_PREFIX_COMMANDS = process.env.DISABLE_PREFIX_COMMANDS !== 'true';
+
 // Define the Intents (permissions) needed by the bot
 const client = new Client({
     intents: [
         GatewayIntentBits.Guilds,
         GatewayIntentBits.GuildMessages,
-        GatewayIntentBits.MessageContent,
+        ...(ENABLE_PREFIX_COMMANDS ? [GatewayIntentBits.MessageContent] : []),
         GatewayIntentBits.GuildMembers,
         GatewayIntentBits.GuildMessageReactions,
     ],
@@ -29,80 +40,600 @@ const client = new Client({
 client.commands = new Collection();
 client.bossData = new Collection();
 
-const prefix = '!';
+const DEFAULT_PREFIX = '!';
 // This path is now simple and perfect for a VPS environment
 const DATA_FILE_PATH = path.join(process.env.RAILWAY_VOLUME_MOUNT_PATH || __dirname, 'boss_data.json'); 
+// Per-guild settings live next to the boss data
+const SETTINGS_FILE_PATH = path.join(path.dirname(DATA_FILE_PATH), 'guild_settings.json');
+client.guildSettings = new Collection();
+// Per-guild log of every change to boss state, also used by `undo`
+const AUDIT_LOG_FILE_PATH = path.join(path.dirname(DATA_FILE_PATH), 'audit_log.json');
+client.auditLog = new Collection();
+// Attendance points per guild; open attendance checks are only kept in memory
+const ATTENDANCE_FILE_PATH = path.join(path.dirname(DATA_FILE_PATH), 'attendance.json');
+client.attendance = new Collection();
+client.attendanceSessions = new Map();
+// Outbound webhook deliveries that failed after every retry, per guild
+const WEBHOOK_DEAD_LETTER_FILE_PATH = path.join(path.dirname(DATA_FILE_PATH), 'webhook_dead_letters.json');
+client.webhookDeadLetters = new Collection();
+// Known L2M bosses shipped with the bot, used by `catalog` and `addpreset`
+const BOSS_CATALOG_FILE_PATH = path.join(__dirname, 'boss_catalog.json');
+
+// Storage backend is chosen with STORAGE_BACKEND (json by default, or sqlite)
+const bossStore = createStore('boss_data', DATA_FILE_PATH);
+const settingsStore = createStore('guild_settings', SETTINGS_FILE_PATH);
+const auditStore = createStore('audit_log', AUDIT_LOG_FILE_PATH);
+const attendanceStore = createStore('attendance', ATTENDANCE_FILE_PATH);
+const deadLetterStore = createStore('webhook_dead_letters', WEBHOOK_DEAD_LETTER_FILE_PATH);
+
+// Notifications, auto-miss, reminders and dashboard edits are all jobs in one scheduler.
+// Boss jobs are named `${guildId}_${bossKey}_${type}` and carry guildId and bossKey.
+client.scheduler = createScheduler();
+
+// Kill reports with an explicit time wait here until the reporter confirms the interpreted time
+client.pendingKillReports = new Map();
+const PENDING_KILL_REPORT_TTL_MINUTES = 5;
 
-// Timers for notifications
-client.activeTimers = new Map();
+// Uploaded boss lists wait here until an admin confirms the import
+client.pendingImports = new Map();
+const PENDING_IMPORT_TTL_MINUTES = 10;
+const MAX_IMPORT_FILE_BYTES = 1024 * 1024;
 
+// Optional web server for the calendar feed and the API, started when HTTP_PORT is set. It
+// listens on localhost unless HTTP_HOST says otherwise (e.g. 0.0.0.0 behind a reverse proxy);
+// links posted in Discord start with HTTP_PUBLIC_URL.
+const HTTP_PORT = parseInt(process.env.HTTP_PORT, 10) || null;
+const HTTP_PUBLIC_URL = (process.env.HTTP_PUBLIC_URL || `http://localhost:${HTTP_PORT}`).replace(/\/+$/, '');
+client.webServer = HTTP_PORT ? createWebServer({ port: HTTP_PORT, host: process.env.HTTP_HOST || '127.0.0.1' }) : null;
+// Calendars list the spawns of fixed-schedule bosses this many days ahead
+const CALENDAR_DAYS_AHEAD = 7;
+
+// Defaults for the timing settings; guilds and individual bosses can override them with `config`
 const AUTO_MISS_TIMEOUT_MINUTES = 20;
 const PRE_SPAWN_NOTIFICATION_MINUTES = 10; 
-const UNCONFIRMED_SPAWN_DELAY_MINUTES = 5; // New: 10 minute buffer for unconfirmed spawns
+const UNCONFIRMED_SPAWN_DELAY_MINUTES = 5; // Buffer added to the next window after an unconfirmed spawn
+
+// Dashboards are edited at most this often per guild (Discord rate-limits message edits),
+// and refreshed every minute even without changes so states and ordering stay current
+const DASHBOARD_MIN_EDIT_INTERVAL_MS = 15 * 1000;
+const DASHBOARD_REFRESH_INTERVAL_MS = 60 * 1000;
+client.dashboardUpdates = new Map();
+
+// Attendance checks after a kill: how long they stay open and the points per attendee.
+// Either can be set to 0 (per server or per boss) to turn attendance off.
+const ATTENDANCE_WINDOW_MINUTES = 15;
+const KILL_POINTS = 1;
+const ATTENDANCE_AWARD_RETENTION_DAYS = 365;
+const LEADERBOARD_SIZE = 15;
+
+// Loot drops kept per boss (oldest are dropped first) and shown per `loot` reply
+const LOOT_MAX_ENTRIES_PER_BOSS = 500;
+const LOOT_PAGE_SIZE = 20;
+const LOOT_ITEM_MAX_LENGTH = 80;
+// Periods offered by the leaderboard and loot reports, in days
+const REPORT_PERIODS = { week: 7, month: 30, all: null };
+
+// Lead time for personal DM reminders when the member doesn't choose one
+const DM_REMINDER_DEFAULT_LEAD_MINUTES = 15;
+
+// Kill history retention: entries beyond either limit are dropped when a new one is recorded
+const HISTORY_MAX_ENTRIES_PER_BOSS = 200;
+const HISTORY_RETENTION_DAYS = 180;
+const HISTORY_PAGE_SIZE = 10;
+
+// Audit log retention per guild; older entries can no longer be undone
+const AUDIT_LOG_MAX_ENTRIES_PER_GUILD = 1000;
+const AUDIT_LOG_PAGE_SIZE = 15;
+
+// Time zone used for fixed-schedule bosses that don't name their own
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+const GUILD_SETTING_DEFAULTS = {
+    prefix: DEFAULT_PREFIX,
+    timeZone: DEFAULT_TIMEZONE,
+    preSpawnNotificationMinutes: PRE_SPAWN_NOTIFICATION_MINUTES,
+    autoMissTimeoutMinutes: AUTO_MISS_TIMEOUT_MINUTES,
+    unconfirmedSpawnDelayMinutes: UNCONFIRMED_SPAWN_DELAY_MINUTES,
+    allowEveryonePing: true,
+    adminChannelId: null,
+    defaultServer: null,
+    attendanceWindowMinutes: ATTENDANCE_WINDOW_MINUTES,
+    killPoints: KILL_POINTS,
+    restartRule: 'respawn', // see parseRestartRule
+    permissionRoles: {},
+    tagRoutes: {}, // tag -> { channelId, roleId } for bosses with that tag
+    webhooks: [], // { id, url, secret, events, createdBy }, see emitWebhookEvent
+};
+
+// Permission levels, lowest first. Discord administrators always have the admin level.
+const PERMISSION_LEVELS = ['viewer', 'tracker', 'admin'];
+
+// Keys accepted by the `config` command. Guild-only keys can't be overridden per boss.
+const CONFIG_KEYS = {
+    prefix: { setting: 'prefix', label: 'Command prefix', guildOnly: true, parse: value => /^\S{1,5}$/.test(value) ? value : null },
+    timezone: { setting: 'timeZone', label: 'Time zone', guildOnly: true, parse: value => isValidTimeZone(value) ? value : null },
+    pre_spawn_minutes: { setting: 'preSpawnNotificationMinutes', label: 'Pre-spawn notice (min)', parse: value => parseConfigMinutes(value, 0) },
+    auto_miss_minutes: { setting: 'autoMissTimeoutMinutes', label: 'Auto-miss timeout (min)', parse: value => parseConfigMinutes(value, 1) },
+    unconfirmed_delay_minutes: { setting: 'unconfirmedSpawnDelayMinutes', label: 'Unconfirmed spawn buffer (min)', parse: value => parseConfigMinutes(value, 0) },
+    everyone_ping: { setting: 'allowEveryonePing', label: 'Ping @everyone for bosses without a role', guildOnly: true, parse: parseConfigBoolean },
+    attendance_minutes: { setting: 'attendanceWindowMinutes', label: 'Attendance check open (min, 0 = off)', parse: value => parseConfigMinutes(value, 0) },
+    kill_points: { setting: 'killPoints', label: 'Points per attendee', parse: parseConfigPoints },
+    restart_rule: { setting: 'restartRule', label: 'Spawn after maintenance (respawn or hours)', parse: parseRestartRule },
+    admin_channel: { setting: 'adminChannelId', label: 'Channel for admin reports', guildOnly: true, parse: parseConfigChannel, format: value => value ? `<#${value}>` : 'not set' },
+    default_server: { setting: 'defaultServer', label: 'Default game server', guildOnly: true, parse: normalizeServerName, format: value => value || 'not set' },
+};
+
+const HISTORY_EVENT_LABELS = {
+    kill: '💀 Killed',
+    miss: '🤷 Missed',
+    not_appeared: '🚫 Did Not Appear',
+    auto_timeout: '⌛ Auto-timeout',
+    offline: '📴 Passed While Offline',
+};
+
+const AUDIT_ACTION_LABELS = {
+    ...HISTORY_EVENT_LABELS,
+    fix_kill: '🛠️ Kill Time Corrected',
+    undo: '↩️ Undo',
+    add_boss: '➕ Boss Added',
+    remove_boss: '🗑️ Boss Removed',
+    boss_settings: '🔧 Boss Settings',
+    guild_settings: '⚙️ Server Settings',
+    import: '📥 Import',
+    attendance: '🙋 Attendance',
+    loot: '💎 Loot Recorded',
+    maintenance: '🛠️ Server Up After Maintenance',
+};
+
+// Boss fields saved before a kill or unconfirmed spawn so `undo` can restore them
+const UNDO_STATE_FIELDS = ['lastKilled', 'nextSpawnEstimateMin', 'nextSpawnEstimateMax', 'isWindow'];
 
 
 client.on('ready', () => {
     console.log(`Bot ${client.user.tag} successfully launched and ready!`);
     console.log(`Bot ID: ${client.user.id}`);
     console.log('------');
-    client.user.setActivity(`Lineage 2M | ${prefix}help`, { type: 3 /* WATCHING */ });
+    client.user.setActivity(`Lineage 2M | ${DEFAULT_PREFIX}help`, { type: 3 /* WATCHING */ });
 
+    loadGuildSettings();
     loadBossData();
+    loadAuditLog();
+    loadAttendance();
+    loadWebhookDeadLetters();
     initializeBossTimers();
+    reconcileMissedSpawns();
+    restoreMaintenance();
+    client.webServer?.start();
+    client.guilds.cache.forEach(guild => registerSlashCommands(guild));
+
+    refreshAllDashboards();
+    schedulePeriodicDashboardRefresh();
 });
 
-function saveBossData() {
-    const dataToSave = {};
+client.on('guildCreate', guild => {
+    registerSlashCommands(guild);
+});
+
+// Copy of a boss for saving or exporting (its timers live in the scheduler, not on the object)
+function serializeBoss(bossObject) {
+    return { ...bossObject };
+}
+
+function serializeBossData() {
+    const guilds = {};
     client.bossData.forEach((guildBosses, guildId) => {
-        dataToSave[guildId] = {};
+        guilds[guildId] = {};
         guildBosses.forEach((bossObject, bossKey) => {
-            const bossToSave = { ...bossObject };
-            delete bossToSave.notificationJob;
-            delete bossToSave.spawnNotificationJob;
-            delete bossToSave.autoMissJob;
-            dataToSave[guildId][bossKey] = bossToSave;
+            guilds[guildId][bossKey] = serializeBoss(bossObject);
         });
     });
+    return { schemaVersion: BOSS_DATA_SCHEMA_VERSION, guilds: guilds, quarantine: client.quarantinedBosses };
+}
+
+// Saves are coalesced by the store, so this is cheap to call after every change
+function saveBossData() {
+    bossStore.save(serializeBossData);
+
+    // Every kill, miss and timer change is saved, so this keeps the dashboards current
+    refreshAllDashboards();
+}
+
+function saveGuildSettings() {
+    settingsStore.save(() => Object.fromEntries(client.guildSettings));
+}
+
+function saveAuditLog() {
+    auditStore.save(() => Object.fromEntries(client.auditLog));
+}
 
+function loadAuditLog() {
     try {
-        fs.writeFileSync(DATA_FILE_PATH, JSON.stringify(dataToSave, null, 4));
-        console.log('Boss data saved successfully.');
+        client.auditLog.clear();
+        const loadedLog = auditStore.load();
+        if (loadedLog) {
+            for (const guildId in loadedLog) {
+                client.auditLog.set(guildId, loadedLog[guildId]);
+            }
+            console.log('Audit log loaded successfully.');
+        }
     } catch (error) {
-        console.error('Failed to save boss data:', error);
+        console.error('Failed to load audit log:', error);
     }
 }
 
-function loadBossData() {
+function loadGuildSettings() {
     try {
-        if (fs.existsSync(DATA_FILE_PATH)) {
-            const rawData = fs.readFileSync(DATA_FILE_PATH);
-            const loadedData = JSON.parse(rawData);
-            
-            client.bossData.clear(); 
+        client.guildSettings.clear();
+        const loadedSettings = settingsStore.load();
+        if (loadedSettings) {
+            for (const guildId in loadedSettings) {
+                client.guildSettings.set(guildId, loadedSettings[guildId]);
+            }
+            console.log('Guild settings loaded successfully.');
+        }
+    } catch (error) {
+        console.error('Failed to load guild settings:', error);
+    }
+}
 
-            for (const guildId in loadedData) {
-                const guildBossesCollection = new Collection();
-                for (const bossKey in loadedData[guildId]) {
-                    const bossObject = loadedData[guildId][bossKey];
-                    bossObject.notificationJob = null;
-                    bossObject.spawnNotificationJob = null;
-                    bossObject.autoMissJob = null;
-                    guildBossesCollection.set(bossKey, bossObject);
+function getGuildSettings(guildId) {
+    if (!client.guildSettings.has(guildId)) {
+        client.guildSettings.set(guildId, {});
+    }
+    return client.guildSettings.get(guildId);
+}
+
+function getGuildSetting(guildId, setting) {
+    return client.guildSettings.get(guildId)?.[setting] ?? GUILD_SETTING_DEFAULTS[setting];
+}
+
+// The value that applies to a boss: its own override, else the guild setting, else the default.
+function getBossSetting(guildId, boss, setting) {
+    return boss.overrides?.[setting] ?? getGuildSetting(guildId, setting);
+}
+
+// Highest permission level of a member, or -1 for no access.
+// Until a guild assigns tracker roles everybody may track; until it assigns viewer roles everybody may view.
+function getMemberPermissionLevel(guildId, member) {
+    if (member.permissions.has(PermissionsBitField.Flags.Administrator)) {
+        return PERMISSION_LEVELS.indexOf('admin');
+    }
+
+    const permissionRoles = getGuildSetting(guildId, 'permissionRoles');
+    const hasLevelRole = level => (permissionRoles[level] || []).some(roleId => member.roles.cache.has(roleId));
+
+    if (hasLevelRole('admin')) return PERMISSION_LEVELS.indexOf('admin');
+    if (hasLevelRole('tracker') || (permissionRoles.tracker || []).length === 0) return PERMISSION_LEVELS.indexOf('tracker');
+    if (hasLevelRole('viewer') || (permissionRoles.viewer || []).length === 0) return PERMISSION_LEVELS.indexOf('viewer');
+    return -1;
+}
+
+function hasPermission(guildId, member, level) {
+    return getMemberPermissionLevel(guildId, member) >= PERMISSION_LEVELS.indexOf(level);
+}
+
+// Replies with an ephemeral denial and returns true if the member lacks the level.
+async function denyWithoutPermission(interaction, level) {
+    if (hasPermission(interaction.guildId, interaction.member, level)) return false;
+    await interaction.reply({ content: `You need the **${level}** permission to do this.`, ephemeral: true });
+    return true;
+}
+
+function getGuildTimeZone(guildId) {
+    return getGuildSetting(guildId, 'timeZone');
+}
+
+function parseConfigBoolean(value) {
+    const normalized = value.toLowerCase();
+    if (['true', 'yes', 'on', '1'].includes(normalized)) return true;
+    if (['false', 'no', 'off', '0'].includes(normalized)) return false;
+    return null;
+}
+
+function parseConfigChannel(value) {
+    const match = value.match(/^(?:<#)?(\d{17,20})>?$/);
+    return match ? match[1] : null;
+}
+
+function formatConfigValue(configKey, value) {
+    return configKey.format ? configKey.format(value) : `${value}`;
+}
+
+function parseConfigPoints(value) {
+    const points = parseFloat(value);
+    return !isNaN(points) && points >= 0 && points <= 10000 ? points : null;
+}
+
+function parseConfigMinutes(value, minimum) {
+    const minutes = parseFloat(value);
+    return !isNaN(minutes) && minutes >= minimum && minutes <= 24 * 60 ? minutes : null;
+}
+
+// --- Data schema and migrations ---
+// The boss data file carries a schemaVersion. Older files are brought up to date on load by
+// running every migration from their version onwards, then each boss record is validated:
+// fixable problems are repaired in place, anything else is set aside in `quarantine` (kept in
+// the file for manual recovery) so one bad record can't break timers for the whole guild.
+// To add a boss field: add its default to BOSS_RECORD_DEFAULTS and append a migration.
+
+const BOSS_DATA_SCHEMA_VERSION = 6;
+
+// Persisted fields every boss record has after migration (runtime timer references are not persisted)
+const BOSS_RECORD_DEFAULTS = {
+    type: 'respawn',
+    location: 'Unknown',
+    minRespawnHours: null,
+    maxRespawnHours: null,
+    lastKilled: null,
+    nextSpawnEstimateMin: null,
+    nextSpawnEstimateMax: null,
+    isWindow: false,
+    messageIdToTrack: null,
+    notificationChannelId: null,
+    originalChannelId: null,
+    pingRoleId: null,
+    overrides: {},
+    history: [],
+    dmSubscriptions: [],
+    loot: [],
+    tags: [],
+    formerKeys: [], // Keys of earlier names, so buttons posted before a rename keep working
+    server: null, // Game server (e.g. "Aden 2") this boss's timer belongs to; part of its key
+};
+
+const BOSS_TIMESTAMP_RECORD_FIELDS = ['lastKilled', 'nextSpawnEstimateMin', 'nextSpawnEstimateMax'];
+
+// Bosses quarantined on load, written back with the data until someone fixes or drops them
+client.quarantinedBosses = [];
+
+// Migration N takes data at schema version N to version N + 1
+const BOSS_DATA_MIGRATIONS = [
+    // 0 → 1: the guild map moves under `guilds` so the file can carry its version
+    data => ({ schemaVersion: 1, guilds: data, quarantine: [] }),
+
+    // 1 → 2: fill in the fields that were added to boss records over time
+    data => {
+        for (const guildId in data.guilds) {
+            for (const bossKey in data.guilds[guildId]) {
+                const boss = data.guilds[guildId][bossKey];
+                if (!boss || typeof boss !== 'object') continue; // Left for validation to quarantine
+                if (!boss.type) boss.type = boss.schedule ? 'schedule' : 'respawn';
+                if (!boss.notificationChannelId) boss.notificationChannelId = boss.originalChannelId || null;
+                for (const field in BOSS_RECORD_DEFAULTS) {
+                    if (boss[field] === undefined) boss[field] = structuredClone(BOSS_RECORD_DEFAULTS[field]);
                 }
-                client.bossData.set(guildId, guildBossesCollection);
             }
-            console.log('Boss data loaded successfully.');
-        } else {
-             console.log('Persistent boss_data.json not found. Checking for import file...');
+        }
+        return { ...data, schemaVersion: 2 };
+    },
+
+    // 2 → 3: bosses keep a record of their loot drops
+    data => {
+        for (const guildId in data.guilds) {
+            for (const bossKey in data.guilds[guildId]) {
+                const boss = data.guilds[guildId][bossKey];
+                if (boss && typeof boss === 'object' && boss.loot === undefined) boss.loot = [];
+            }
+        }
+        return { ...data, schemaVersion: 3 };
+    },
+
+    // 3 → 4: bosses can be grouped with tags
+    data => {
+        for (const guildId in data.guilds) {
+            for (const bossKey in data.guilds[guildId]) {
+                const boss = data.guilds[guildId][bossKey];
+                if (boss && typeof boss === 'object' && boss.tags === undefined) boss.tags = [];
+            }
+        }
+        return { ...data, schemaVersion: 4 };
+    },
+
+    // 4 → 5: renamed bosses remember their old keys
+    data => {
+        for (const guildId in data.guilds) {
+            for (const bossKey in data.guilds[guildId]) {
+                const boss = data.guilds[guildId][bossKey];
+                if (boss && typeof boss === 'object' && boss.formerKeys === undefined) boss.formerKeys = [];
+            }
+        }
+        return { ...data, schemaVersion: 5 };
+    },
+
+    // 5 → 6: the same boss can be tracked on several game servers
+    data => {
+        for (const guildId in data.guilds) {
+            for (const bossKey in data.guilds[guildId]) {
+                const boss = data.guilds[guildId][bossKey];
+                if (boss && typeof boss === 'object' && boss.server === undefined) boss.server = null;
+            }
+        }
+        return { ...data, schemaVersion: 6 };
+    },
+];
+
+// Creates a complete boss record; `fields` must at least contain the name
+function createBossRecord(fields) {
+    return {
+        ...structuredClone(BOSS_RECORD_DEFAULTS),
+        ...fields,
+    };
+}
+
+// Files written before versioning are a bare { guildId: { bossKey: boss } } map
+function getBossDataSchemaVersion(data) {
+    return Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+}
+
+function migrateBossData(data) {
+    const startVersion = getBossDataSchemaVersion(data);
+    let version = startVersion;
+    while (version < BOSS_DATA_SCHEMA_VERSION) {
+        data = BOSS_DATA_MIGRATIONS[version](data);
+        version = data.schemaVersion;
+    }
+    if (version !== startVersion) {
+        console.log(`Boss data migrated from schema version ${startVersion} to ${version}.`);
+    }
+    return data;
+}
+
+function toRecordTimestamp(value) {
+    const timestamp = typeof value === 'string' ? Date.parse(value) : value;
+    return Number.isFinite(timestamp) ? timestamp : null;
+}
+
+function toRecordHours(value) {
+    const hours = typeof value === 'string' ? parseFloat(value) : value;
+    return Number.isFinite(hours) && hours > 0 ? hours : null;
+}
+
+// Checks a migrated boss record. Returns { repairs: [description] } after fixing what it can,
+// or { reason } if the record can't be used.
+function validateBossRecord(boss) {
+    if (!boss || typeof boss !== 'object' || Array.isArray(boss)) return { reason: 'not a boss object' };
+    if (typeof boss.name !== 'string' || !boss.name.trim()) return { reason: 'missing name' };
+
+    const repairs = [];
+    const repair = (field, value, description) => {
+        boss[field] = value;
+        repairs.push(`${field} ${description}`);
+    };
+
+    if (!['respawn', 'schedule'].includes(boss.type)) {
+        repair('type', boss.schedule ? 'schedule' : 'respawn', boss.type === undefined ? 'was missing' : `was "${boss.type}"`);
+    }
+    for (const field in BOSS_RECORD_DEFAULTS) {
+        if (boss[field] === undefined) repair(field, structuredClone(BOSS_RECORD_DEFAULTS[field]), 'was missing');
+    }
+
+    if (isScheduledBoss(boss)) {
+        if (!parseSchedule(boss.schedule?.expression)) return { reason: 'invalid schedule' };
+        if (!isValidTimeZone(boss.schedule.timeZone)) {
+            repairs.push(`schedule time zone "${boss.schedule.timeZone}" replaced with ${DEFAULT_TIMEZONE}`);
+            boss.schedule.timeZone = DEFAULT_TIMEZONE;
+        }
+    } else {
+        const minHours = toRecordHours(boss.minRespawnHours);
+        if (minHours === null) return { reason: 'invalid minimum respawn hours' };
+        if (minHours !== boss.minRespawnHours) repair('minRespawnHours', minHours, 'converted to a number');
+
+        if (boss.maxRespawnHours !== null) {
+            const maxHours = toRecordHours(boss.maxRespawnHours);
+            if (maxHours === null || maxHours < minHours) repair('maxRespawnHours', null, 'was invalid and was cleared');
+            else if (maxHours !== boss.maxRespawnHours) repair('maxRespawnHours', maxHours, 'converted to a number');
+        }
+    }
+
+    BOSS_TIMESTAMP_RECORD_FIELDS.forEach(field => {
+        if (boss[field] === null) return;
+        const timestamp = toRecordTimestamp(boss[field]);
+        if (timestamp !== boss[field]) repair(field, timestamp, timestamp === null ? 'was invalid and was cleared' : 'converted to a timestamp');
+    });
+
+    if (typeof boss.isWindow !== 'boolean') repair('isWindow', !!boss.isWindow, 'converted to a boolean');
+    if (typeof boss.location !== 'string') repair('location', BOSS_RECORD_DEFAULTS.location, 'was missing');
+    if (!boss.notificationChannelId && boss.originalChannelId) {
+        repair('notificationChannelId', boss.originalChannelId, 'restored from originalChannelId');
+    }
+    if (!boss.overrides || typeof boss.overrides !== 'object' || Array.isArray(boss.overrides)) {
+        repair('overrides', {}, 'was invalid and was reset');
+    }
+    if (!Array.isArray(boss.dmSubscriptions)) repair('dmSubscriptions', [], 'was invalid and was reset');
+    if (boss.server !== null && !normalizeServerName(boss.server)) return { reason: 'invalid server' };
+    if (!Array.isArray(boss.formerKeys) || boss.formerKeys.some(key => typeof key !== 'string')) {
+        repair('formerKeys', Array.isArray(boss.formerKeys) ? boss.formerKeys.filter(key => typeof key === 'string') : [], 'was invalid and was reset');
+    }
+    if (!Array.isArray(boss.tags)) {
+        repair('tags', [], 'was invalid and was reset');
+    } else {
+        const validTags = [...new Set(boss.tags.map(normalizeTag).filter(Boolean))];
+        if (validTags.length !== boss.tags.length || validTags.some((tag, index) => tag !== boss.tags[index])) {
+            repair('tags', validTags, 'were normalized');
+        }
+    }
+    if (!Array.isArray(boss.loot)) {
+        repair('loot', [], 'was invalid and was reset');
+    } else {
+        const validLoot = boss.loot.filter(drop => drop && typeof drop.item === 'string' && Number.isFinite(drop.killTimestamp));
+        if (validLoot.length !== boss.loot.length) {
+            repair('loot', validLoot, `had ${boss.loot.length - validLoot.length} invalid entries removed`);
+        }
+    }
+
+    if (!Array.isArray(boss.history)) {
+        repair('history', [], 'was invalid and was reset');
+    } else {
+        const validHistory = boss.history.filter(entry => entry && HISTORY_EVENT_LABELS[entry.type] && Number.isFinite(entry.timestamp));
+        if (validHistory.length !== boss.history.length) {
+            repair('history', validHistory, `had ${boss.history.length - validHistory.length} invalid entries removed`);
+        }
+    }
+
+    return { repairs };
+}
+
+function loadBossData() {
+    try {
+        let loadedData = bossStore.load();
+        let importedFromFile = false;
+
+        if (!loadedData) {
+             console.log('Persistent boss data not found. Checking for import file...');
              const importFilePath = path.join(__dirname, 'boss_data_import.json');
              if (fs.existsSync(importFilePath)) {
-                 fs.copyFileSync(importFilePath, DATA_FILE_PATH);
-                 console.log('Successfully copied data from boss_data_import.json to persistent storage.');
-                 loadBossData(); // Recursive call to now load the copied file
+                 loadedData = JSON.parse(fs.readFileSync(importFilePath));
+                 importedFromFile = true;
+                 console.log('Successfully read data from boss_data_import.json.');
              } else {
                  console.log('No import file found. Starting fresh.');
              }
         }
+
+        if (loadedData) {
+            const startVersion = getBossDataSchemaVersion(loadedData);
+            if (startVersion > BOSS_DATA_SCHEMA_VERSION) {
+                // Saving would overwrite data written by a newer version of the bot, so don't start at all
+                console.error(`Boss data has schema version ${startVersion}, but this version of the bot only understands up to ${BOSS_DATA_SCHEMA_VERSION}. Update the bot before starting it on this data.`);
+                process.exit(1);
+            }
+            const data = migrateBossData(loadedData);
+            const repaired = [];
+            const quarantined = [];
+
+            client.bossData.clear();
+            client.quarantinedBosses = data.quarantine || [];
+
+            for (const guildId in data.guilds) {
+                const guildBossesCollection = new Collection();
+                for (const bossKey in data.guilds[guildId]) {
+                    const bossObject = data.guilds[guildId][bossKey];
+                    const result = validateBossRecord(bossObject);
+                    if (result.reason) {
+                        quarantined.push(`${guildId}/${bossKey}: ${result.reason}`);
+                        client.quarantinedBosses.push({ guildId, bossKey, reason: result.reason, quarantinedAt: Date.now(), record: bossObject });
+                        continue;
+                    }
+                    if (result.repairs.length > 0) {
+                        repaired.push(`${guildId}/${bossKey}: ${result.repairs.join('; ')}`);
+                    }
+                    guildBossesCollection.set(bossKey, bossObject);
+                }
+                client.bossData.set(guildId, guildBossesCollection);
+            }
+            console.log('Boss data loaded successfully.');
+
+            if (repaired.length > 0) {
+                console.warn(`Repaired ${repaired.length} boss record(s) on load:\n  ${repaired.join('\n  ')}`);
+            }
+            if (quarantined.length > 0) {
+                console.error(`Quarantined ${quarantined.length} boss record(s) that could not be loaded (kept under "quarantine" in the data file):\n  ${quarantined.join('\n  ')}`);
+            }
+            // Write the upgraded and repaired data back right away
+            if (importedFromFile || startVersion !== BOSS_DATA_SCHEMA_VERSION || repaired.length > 0 || quarantined.length > 0) {
+                saveBossData();
+            }
+        }
     } catch (error) {
         console.error('Failed to load boss data:', error);
         client.bossData = new Collection();
@@ -113,18 +644,26 @@ function initializeBossTimers() {
     console.log('Initializing timers for loaded bosses...');
     const now = Date.now();
     client.bossData.forEach((guildBosses, guildId) => {
+        // Timers of a guild in maintenance are recomputed when its server is up (restoreMaintenance)
+        if (isUnderMaintenance(guildId)) return;
         guildBosses.forEach((boss, bossKey) => {
+            // Fixed-schedule bosses always have a next occurrence (ones that passed while offline are reconciled afterwards)
+            if (isScheduledBoss(boss) && !boss.messageIdToTrack && !boss.nextSpawnEstimateMin) {
+                boss.nextSpawnEstimateMin = getNextScheduledSpawn(boss, now);
+                boss.nextSpawnEstimateMax = null;
+                boss.isWindow = false;
+            }
             if (boss.nextSpawnEstimateMin && boss.nextSpawnEstimateMin > now) {
-                console.log(`Re-scheduling notifications for ${boss.name} (${bossKey}) in guild ${guildId}`);
+                console.log(`Re-scheduling notifications for ${formatBossName(boss)} (${bossKey}) in guild ${guildId}`);
                 scheduleBossNotifications(guildId, bossKey);
             }
-            if (boss.messageIdToTrack && boss.spawnNotificationJob === null && boss.autoMissJob === null) {
-                 console.log(`Found active message with buttons for ${boss.name} (${bossKey}). Re-scheduling auto-miss timer.`);
-                 const channelForAutoMiss = boss.notificationChannelId || boss.originalChannelId;
+            if (boss.messageIdToTrack && !client.scheduler.has(bossJobId(guildId, bossKey, 'spawn'))) {
+                 console.log(`Found active message with buttons for ${formatBossName(boss)} (${bossKey}). Re-scheduling auto-miss timer.`);
+                 const channelForAutoMiss = getBossNotificationChannelId(guildId, boss);
                  if (channelForAutoMiss) {
                     scheduleAutoMissTimer(guildId, bossKey, boss.messageIdToTrack, channelForAutoMiss);
                  } else {
-                    console.warn(`Cannot re-schedule auto-miss for ${boss.name} (${bossKey}): no valid channel ID found.`);
+                    console.warn(`Cannot re-schedule auto-miss for ${formatBossName(boss)} (${bossKey}): no valid channel ID found.`);
                  }
             }
         });
@@ -132,314 +671,3767 @@ function initializeBossTimers() {
     console.log('Boss timer initialization complete.');
 }
 
+// --- Startup reconciliation ---
+// Spawns that came due while the bot was offline get no timer from initializeBossTimers. If the
+// boss can still be reported, the spawn message is posted late; otherwise the spawn is treated
+// as unconfirmed (like an auto-timeout) until the estimate is back in the future.
 
-client.on('messageCreate', async message => {
-    if (message.author.bot || !message.content.startsWith(prefix)) return;
+// Safety limit for bosses with very short respawns after a long downtime
+const MAX_OFFLINE_CATCH_UP_SPAWNS = 100;
 
-    const args = parseArguments(message.content.slice(prefix.length).trim());
-    const commandName = args.shift().toLowerCase();
+// A spawn can be reported until the auto-miss timeout has run after it (or after its window)
+function getSpawnReportDeadline(guildId, boss) {
+    return (boss.nextSpawnEstimateMax || boss.nextSpawnEstimateMin) + getBossSetting(guildId, boss, 'autoMissTimeoutMinutes') * 60 * 1000;
+}
 
-    if (commandName === 'ping') {
-        const latency = Math.round(client.ws.ping);
-        await message.reply(`Pong! API Latency: ${latency}ms.`);
-        return;
-    }
+async function reconcileMissedSpawns() {
+    const now = Date.now();
 
-    if (commandName === 'help') {
-        const helpEmbed = new EmbedBuilder()
-            .setColor(0x0099FF)
-            .setTitle('📜 Bot Commands Help')
-            .setDescription('Click a button to learn more about the command.');
+    for (const [guildId, guildBosses] of client.bossData) {
+        if (isUnderMaintenance(guildId)) continue;
+        const summaryLines = [];
+        let fallbackChannelId = null;
 
-        const row1 = new ActionRowBuilder()
-            .addComponents(
-                new ButtonBuilder().setCustomId('help_addboss').setLabel('Add Boss').setStyle(ButtonStyle.Primary),
-                new ButtonBuilder().setCustomId('help_killed').setLabel('Mark Killed').setStyle(ButtonStyle.Success),
-                new ButtonBuilder().setCustomId('help_status').setLabel('Status').setStyle(ButtonStyle.Secondary)
-            );
-        const row2 = new ActionRowBuilder()
-            .addComponents(
-                new ButtonBuilder().setCustomId('help_removeboss').setLabel('Remove Boss').setStyle(ButtonStyle.Danger),
-                new ButtonBuilder().setCustomId('help_next').setLabel('Next Bosses').setStyle(ButtonStyle.Secondary),
-                new ButtonBuilder().setCustomId('help_restart').setLabel('Server Restart').setStyle(ButtonStyle.Danger)
-            );
+        for (const [bossKey, boss] of guildBosses) {
+            if (boss.messageIdToTrack || !boss.nextSpawnEstimateMin || boss.nextSpawnEstimateMin > now) continue;
+            fallbackChannelId = fallbackChannelId || getBossNotificationChannelId(guildId, boss);
 
-        await message.channel.send({ embeds: [helpEmbed], components: [row1, row2] });
-        return;
-    }
+            const before = captureBossState(boss);
+            let passedSpawns = 0;
+            while (getSpawnReportDeadline(guildId, boss) <= now && passedSpawns < MAX_OFFLINE_CATCH_UP_SPAWNS) {
+                advanceUnconfirmedSpawn(guildId, boss, 'passed while offline', null);
+                passedSpawns++;
+            }
+            const passedText = passedSpawns > 0 ? `${passedSpawns} spawn(s) passed unreported` : '';
+            if (passedSpawns > 0) {
+                logAudit(guildId, null, 'offline', { bossKey, bossName: formatBossName(boss), summary: passedText, before });
+            }
 
-    if (commandName === 'restart') {
-        if (!message.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
-            return message.reply('You must be an administrator to use this command.');
+            if (getSpawnReportDeadline(guildId, boss) <= now) {
+                boss.nextSpawnEstimateMin = null;
+                boss.nextSpawnEstimateMax = null;
+                boss.isWindow = false;
+                summaryLines.push(`**${formatBossName(boss)}**: ${passedText}; too many to catch up, timer cleared. Use \`killed\` to restart it.`);
+            } else if (boss.nextSpawnEstimateMin <= now) {
+                await triggerSpawnNotification(guildId, bossKey, { spawnedWhileOffline: true });
+                summaryLines.push(`**${formatBossName(boss)}**: ${passedText ? `${passedText}; ` : ''}still reportable, spawn message posted.`);
+            } else {
+                scheduleBossNotifications(guildId, bossKey);
+                summaryLines.push(`**${formatBossName(boss)}**: ${passedText}; next ${formatNextSpawn(boss)}`);
+            }
         }
 
-        const restartEmbed = new EmbedBuilder()
-            .setColor(0xFF4500)
-            .setTitle('🚨 Server Restart Confirmation')
-            .setDescription('This action will trigger spawn notifications for **all** tracked bosses.\nUse this after a server maintenance or restart.\n\n**Are you sure you want to proceed?**');
-        
-        const row = new ActionRowBuilder()
-            .addComponents(
-                new ButtonBuilder()
-                    .setCustomId('server_restart_confirm')
-                    .setLabel('Confirm (Server ON)')
-                    .setStyle(ButtonStyle.Danger),
-                new ButtonBuilder()
-                    .setCustomId('server_restart_cancel')
-                    .setLabel('Cancel')
-                    .setStyle(ButtonStyle.Secondary)
-            );
-        
-        await message.reply({ embeds: [restartEmbed], components: [row] });
-        return;
+        if (summaryLines.length === 0) continue;
+        console.log(`Reconciled ${summaryLines.length} boss(es) in guild ${guildId} that came due while offline.`);
+        saveBossData();
+        await sendAdminReport(guildId, fallbackChannelId, new EmbedBuilder()
+            .setColor(0x778899) // LightSlateGray
+            .setTitle('📴 Spawns While Offline')
+            .setDescription(summaryLines.join('\n').substring(0, 4096))
+            .setTimestamp());
     }
+}
 
-    const guildId = message.guild.id;
-    if (!client.bossData.has(guildId)) {
-        client.bossData.set(guildId, new Collection());
+// Posts to the guild's admin channel (`config admin_channel`), or the given channel if none is set
+async function sendAdminReport(guildId, fallbackChannelId, embed) {
+    const channelId = getGuildSetting(guildId, 'adminChannelId') || fallbackChannelId;
+    const channel = channelId && await client.channels.fetch(channelId).catch(() => null);
+    if (!channel) {
+        console.warn(`Admin report for guild ${guildId}: no channel available.`);
+        return;
     }
-    const guildBosses = client.bossData.get(guildId);
+    await channel.send({ embeds: [embed] }).catch(console.error);
+}
 
-    if (commandName === 'addboss') {
-        if (args.length < 3) {
-            return message.reply(`Usage: ${prefix}addboss "<name>" "<location>" <min_respawn_hours> [max_respawn_hours] [notification_channel_id]`);
-        }
-        const bossName = args[0];
-        const bossKey = bossName.toLowerCase().replace(/\s+/g, '_');
-        const location = args[1];
-        const minRespawnHours = parseFloat(args[2]);
-        const maxRespawnHours = args[3] && !isNaN(parseFloat(args[3])) ? parseFloat(args[3]) : null;
-        const notificationChannelIdArg = args[3] && isNaN(parseFloat(args[3])) ? args[3] : (args[4] ? args[4] : null);
-        
-        let notificationChannelId = notificationChannelIdArg || message.channel.id;
 
-        if (guildBosses.has(bossKey)) {
-            return message.reply(`Boss with name "${bossName}" already exists.`);
-        }
-        if (isNaN(minRespawnHours) || (maxRespawnHours !== null && isNaN(maxRespawnHours))) {
-            return message.reply('Respawn time must be a number.');
-        }
-        if (maxRespawnHours !== null && maxRespawnHours < minRespawnHours) {
-            return message.reply('Maximum respawn time cannot be less than minimum.');
-        }
-        
-        try {
-            const channel = await client.channels.fetch(notificationChannelId);
-            if (!channel || channel.type !== 0 /* GUILD_TEXT */) {
-                 message.reply(`Warning: Channel with ID ${notificationChannelId} not found or is not a text channel. Notifications for this boss will be sent to the current channel (<#${message.channel.id}>).`);
-                 notificationChannelId = message.channel.id;
-            }
-        } catch (error) {
-             message.reply(`Warning: Error checking channel ${notificationChannelId}. Notifications for this boss will be sent to the current channel (<#${message.channel.id}>).`);
-             notificationChannelId = message.channel.id;
-        }
+// --- Command registry ---
+// Every command is declared once and served both as a prefix command (`!killed`) and as a
+// slash command (`/killed`). Options are described in one place: they build the slash
+// command definition and map positional prefix arguments, so both paths run the same code.
 
-        guildBosses.set(bossKey, {
-            name: bossName,
-            location: location,
-            minRespawnHours: minRespawnHours,
-            maxRespawnHours: maxRespawnHours,
-            lastKilled: null,
-            nextSpawnEstimateMin: null,
-            nextSpawnEstimateMax: null,
-            isWindow: false,
-            notificationJob: null,
-            spawnNotificationJob: null,
-            autoMissJob: null,
-            messageIdToTrack: null,
-            notificationChannelId: notificationChannelId,
-            originalChannelId: message.channel.id
+const SLASH_OPTION_ADDERS = {
+    string: 'addStringOption',
+    number: 'addNumberOption',
+    integer: 'addIntegerOption',
+    boolean: 'addBooleanOption',
+    channel: 'addChannelOption',
+    role: 'addRoleOption',
+    user: 'addUserOption',
+    attachment: 'addAttachmentOption',
+};
+
+function defineCommand(definition) {
+    const data = new SlashCommandBuilder()
+        .setName(definition.name)
+        .setDescription(definition.description);
+
+    (definition.options || []).forEach(option => {
+        data[SLASH_OPTION_ADDERS[option.type]](slashOption => {
+            slashOption
+                .setName(option.name)
+                .setDescription(option.description)
+                .setRequired(!!option.required);
+            if (option.autocomplete) slashOption.setAutocomplete(true);
+            if (option.choices) slashOption.addChoices(...option.choices.map(choice => ({ name: choice, value: choice })));
+            if (option.type === 'channel') slashOption.addChannelTypes(ChannelType.GuildText);
+            if (option.minValue !== undefined) slashOption.setMinValue(option.minValue);
+            return slashOption;
         });
-        await message.reply(`Boss **${bossName}** (Location: ${location}, Respawn: ${minRespawnHours}${maxRespawnHours ? `-${maxRespawnHours}` : ''} hrs) added. Notifications in channel <#${notificationChannelId}>.`);
-        saveBossData();
-    } else if (commandName === 'killed') {
-        if (args.length < 1) {
-            return message.reply(`Usage: ${prefix}killed "<boss_name>" ["YYYY-MM-DD HH:MM"]`);
-        }
-        const bossNameArg = args[0];
-        const bossKey = bossNameArg.toLowerCase().replace(/\s+/g, '_');
-        const boss = guildBosses.get(bossKey);
+    });
 
-        if (!boss) {
-            return message.reply(`Boss "${bossNameArg}" not found.`);
-        }
+    client.commands.set(definition.name, { options: [], ...definition, data });
+}
 
-        let killTimestamp = new Date().getTime(); 
+// Normalizes a raw prefix argument to the same shape the slash command option would have.
+function coercePrefixOption(option, raw) {
+    switch (option.type) {
+        case 'number':
+            return parseFloat(raw);
+        case 'integer':
+            return parseInt(raw, 10);
+        case 'boolean':
+            return ['true', 'yes', 'on', '1'].includes(raw.toLowerCase());
+        case 'channel':
+            return raw.replace(/^<#(\d+)>$/, '$1');
+        case 'role':
+            return raw.replace(/^<@&(\d+)>$/, '$1');
+        case 'user':
+            return raw.replace(/^<@!?(\d+)>$/, '$1');
+        default:
+            return raw;
+    }
+}
 
-        if (args.length > 1) {
-            const timeInputString = args[1];
-            let parsedDate;
-            parsedDate = new Date(timeInputString);
-            
-            if (isNaN(parsedDate.getTime())) {
-                return message.reply(`Invalid time format: "${timeInputString}". Please use a clear format like \`"YYYY-MM-DD HH:MM"\`.`);
-            }
-            
-            killTimestamp = parsedDate.getTime();
-        }
+function getPrefixOptions(command, args, message) {
+    if (command.parseArgs) return command.parseArgs(args);
 
-        updateBossAsKilled(guildId, bossKey, killTimestamp, message.channel, null);
-    } else if (commandName === 'status') {
-        if (guildBosses.size === 0) {
-            return message.reply('No bosses are being tracked on this server.');
-        }
+    // Attachments are uploaded with the message rather than typed as arguments
+    const values = {};
+    command.options.filter(option => option.type === 'attachment').forEach(option => {
+        values[option.name] = message.attachments.first() || null;
+    });
+    command.options.filter(option => option.type !== 'attachment').forEach((option, index) => {
+        const raw = option.rest ? args.slice(index).join(' ') : args[index];
+        values[option.name] = raw === undefined || raw === '' ? null : coercePrefixOption(option, raw);
+    });
+    return values;
+}
 
-        const embeds = [];
-        if (args.length > 0) {
-            const bossNameArg = args.join(" "); 
-            const bossKey = bossNameArg.toLowerCase().replace(/\s+/g, '_');
-            const boss = guildBosses.get(bossKey);
-            if (boss) {
-                embeds.push(createBossStatusEmbed(boss));
-            } else {
-                return message.reply(`Boss "${bossNameArg}" not found.`);
-            }
-        } else {
-            guildBosses.forEach(boss => {
-                embeds.push(createBossStatusEmbed(boss));
-            });
-        }
-        
-        if (embeds.length > 0) {
-             for (let i = 0; i < embeds.length; i += 10) {
-                const chunk = embeds.slice(i, i + 10);
-                await message.channel.send({ embeds: chunk });
-            }
-        } else {
-             return message.reply('No information to display.');
+function getInteractionOptions(command, interaction) {
+    const values = {};
+    command.options.forEach(option => {
+        let value;
+        switch (option.type) {
+            case 'number': value = interaction.options.getNumber(option.name); break;
+            case 'integer': value = interaction.options.getInteger(option.name); break;
+            case 'boolean': value = interaction.options.getBoolean(option.name); break;
+            case 'channel': value = interaction.options.getChannel(option.name)?.id; break;
+            case 'role': value = interaction.options.getRole(option.name)?.id; break;
+            case 'user': value = interaction.options.getUser(option.name)?.id; break;
+            case 'attachment': value = interaction.options.getAttachment(option.name); break;
+            default: value = interaction.options.getString(option.name);
         }
-
-    } else if (commandName === 'removeboss') {
-        if (guildBosses.size === 0) {
-            return message.reply('There are no bosses to remove.');
+        values[option.name] = value ?? null;
+    });
+    return values;
+}
+
+// A command context hides whether the command came from a message or a slash interaction.
+// `reply` answers the invoker, `send` posts further messages that belong to the same response.
+function createMessageContext(message) {
+    return {
+        guild: message.guild,
+        guildId: message.guild.id,
+        channel: message.channel,
+        member: message.member,
+        user: message.author,
+        prefix: getGuildSetting(message.guild.id, 'prefix'),
+        interaction: null,
+        reply: payload => message.reply(payload),
+        send: payload => message.channel.send(payload),
+    };
+}
+
+function createInteractionContext(interaction) {
+    const respond = payload => (interaction.replied || interaction.deferred)
+        ? interaction.followUp(payload)
+        : interaction.reply(payload);
+    return {
+        guild: interaction.guild,
+        guildId: interaction.guildId,
+        channel: interaction.channel,
+        member: interaction.member,
+        user: interaction.user,
+        prefix: getGuildSetting(interaction.guildId, 'prefix'),
+        interaction: interaction,
+        reply: respond,
+        send: respond,
+    };
+}
+
+async function runCommand(command, ctx, options) {
+    if (command.permission && !hasPermission(ctx.guildId, ctx.member, command.permission)) {
+        return ctx.reply({ content: `You need the **${command.permission}** permission to use this command.`, ephemeral: true });
+    }
+
+    const missing = command.options.find(option => option.required && (options[option.name] === null || options[option.name] === undefined));
+    if (missing) {
+        return ctx.reply({ content: `Usage: ${ctx.prefix}${command.usage}`, ephemeral: true });
+    }
+
+    try {
+        await command.execute(ctx, options);
+    } catch (error) {
+        console.error(`Error executing command ${command.name}:`, error);
+        await ctx.reply({ content: 'An error occurred while executing this command.', ephemeral: true }).catch(() => null);
+    }
+}
+
+async function registerSlashCommands(guild) {
+    try {
+        await guild.commands.set(client.commands.map(command => command.data.toJSON()));
+        console.log(`Registered ${client.commands.size} slash commands in guild ${guild.id}.`);
+    } catch (error) {
+        console.error(`Failed to register slash commands in guild ${guild.id}:`, error);
+    }
+}
+
+// Falls back to the invoking channel when the requested notification channel can't be used.
+async function resolveNotificationChannelId(ctx, requestedChannelId) {
+    const notificationChannelId = requestedChannelId || ctx.channel.id;
+    try {
+        const channel = await client.channels.fetch(notificationChannelId);
+        if (!channel || channel.type !== 0 /* GUILD_TEXT */) {
+             ctx.send(`Warning: Channel with ID ${notificationChannelId} not found or is not a text channel. Notifications for this boss will be sent to the current channel (<#${ctx.channel.id}>).`);
+             return ctx.channel.id;
         }
-    
-        const allOptions = guildBosses.map(boss => ({
-            label: boss.name.substring(0, 100),
-            description: `Location: ${boss.location}`.substring(0, 100),
-            value: boss.name.toLowerCase().replace(/\s+/g, '_').substring(0, 100)
+    } catch (error) {
+         ctx.send(`Warning: Error checking channel ${notificationChannelId}. Notifications for this boss will be sent to the current channel (<#${ctx.channel.id}>).`);
+         return ctx.channel.id;
+    }
+    return notificationChannelId;
+}
+
+function getGuildBosses(guildId) {
+    if (!client.bossData.has(guildId)) {
+        client.bossData.set(guildId, new Collection());
+    }
+    return client.bossData.get(guildId);
+}
+
+// Bosses on a game server are keyed `${name}@${server}`, e.g. kuka@aden_2
+function toBossKey(bossName, server = null) {
+    const nameKey = bossName.toLowerCase().replace(/\s+/g, '_');
+    return server ? `${nameKey}@${server.toLowerCase().replace(/\s+/g, '_')}` : nameKey;
+}
+
+function getBossKey(boss) {
+    return toBossKey(boss.name, boss.server);
+}
+
+// Trimmed server name, or null if it can't be one (it is shown in and parsed from "Name @ Server")
+function normalizeServerName(value) {
+    if (typeof value !== 'string') return null;
+    const server = value.trim().replace(/\s+/g, ' ');
+    return server && server.length <= 32 && !server.includes('@') ? server : null;
+}
+
+// Splits a boss reference such as "Kuka @ Aden 2" into its name and game server
+function parseBossReference(reference) {
+    const separatorIndex = reference.lastIndexOf('@');
+    if (separatorIndex === -1) return { name: reference.trim(), server: null };
+    return { name: reference.substring(0, separatorIndex).trim(), server: normalizeServerName(reference.substring(separatorIndex + 1)) };
+}
+
+// How a boss is shown everywhere, in the same "Name @ Server" form that commands accept
+function formatBossName(boss) {
+    return boss.server ? `${boss.name} @ ${boss.server}` : boss.name;
+}
+
+// The key of the boss a member means. Without a server, a boss that isn't on any server is
+// preferred, then the guild's default server, then the only server the boss is tracked on.
+function findBossKey(guildId, reference) {
+    const { name, server } = parseBossReference(reference);
+    if (server) return toBossKey(name, server);
+
+    const guildBosses = getGuildBosses(guildId);
+    const nameKey = toBossKey(name);
+    if (guildBosses.has(nameKey)) return nameKey;
+    const defaultServer = getGuildSetting(guildId, 'defaultServer');
+    if (defaultServer && guildBosses.has(toBossKey(name, defaultServer))) return toBossKey(name, defaultServer);
+    const instanceKeys = getBossInstanceKeys(guildId, name);
+    return instanceKeys.length === 1 ? instanceKeys[0] : nameKey;
+}
+
+// Name and server of a boss being added; the server defaults to the guild's default server.
+// Returns null if a server was given but isn't a valid server name.
+function parseNewBossName(guildId, reference) {
+    const { name, server } = parseBossReference(reference);
+    if (!name || (reference.includes('@') && !server)) return null;
+    return { name, server: server || getGuildSetting(guildId, 'defaultServer') };
+}
+
+// Reply for a boss reference that findBossKey couldn't resolve
+function formatBossNotFound(guildId, reference) {
+    const { name, server } = parseBossReference(reference);
+    const servers = getBossInstanceKeys(guildId, name).map(bossKey => getGuildBosses(guildId).get(bossKey).server).filter(Boolean);
+    if (server || servers.length < 2) return `Boss "${reference}" not found.`;
+    return `**${name}** is tracked on several servers (${servers.join(', ')}). Please use "${name} @ <server>".`;
+}
+
+// Keys of a boss on every game server it is tracked on
+function getBossInstanceKeys(guildId, bossName) {
+    const nameKey = toBossKey(bossName);
+    return [...getGuildBosses(guildId).filter(boss => toBossKey(boss.name) === nameKey).keys()];
+}
+
+// The guild's spelling of a server name, or null if no boss is tracked on it
+function findGuildServer(guildId, name) {
+    const server = normalizeServerName(name)?.toLowerCase();
+    return getGuildServers(guildId).find(guildServer => guildServer.toLowerCase() === server) || null;
+}
+
+// Bosses of a guild, limited to a tag and/or a game server if given
+function getFilteredBosses(guildId, { tag = null, server = null } = {}) {
+    const bosses = getTaggedBosses(guildId, tag);
+    return server ? bosses.filter(boss => boss.server?.toLowerCase() === server.toLowerCase()) : bosses;
+}
+
+// Game servers used by the guild's bosses, sorted
+function getGuildServers(guildId) {
+    const servers = new Set();
+    getGuildBosses(guildId).forEach(boss => {
+        if (boss.server) servers.add(boss.server);
+    });
+    return [...servers].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+// The current key of a boss referred to by a key from a button or pending report, following
+// renames. A boss that currently has the key always wins over one that used to have it.
+function resolveBossKey(guildId, bossKey) {
+    const guildBosses = client.bossData.get(guildId);
+    if (!guildBosses || guildBosses.has(bossKey)) return bossKey;
+    return guildBosses.findKey(boss => boss.formerKeys.includes(bossKey)) || bossKey;
+}
+
+const BOSS_OPTION = { name: 'boss', type: 'string', description: 'Boss name', required: true, autocomplete: true };
+const TAG_OPTION = { name: 'tag', type: 'string', description: 'Boss tag', autocomplete: true };
+const SERVER_OPTION = { name: 'server', type: 'string', description: 'Game server', autocomplete: true };
+
+defineCommand({
+    name: 'ping',
+    description: 'Checks the bot\'s response latency.',
+    usage: 'ping',
+    help: 'Checks the bot\'s response latency.',
+    async execute(ctx) {
+        const latency = Math.round(client.ws.ping);
+        await ctx.reply(`Pong! API Latency: ${latency}ms.`);
+    }
+});
+
+defineCommand({
+    name: 'help',
+    description: 'Shows help for the bot commands.',
+    usage: 'help',
+    help: 'Shows this help menu.',
+    async execute(ctx) {
+        const helpEmbed = new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle('📜 Bot Commands Help')
+            .setDescription('Click a button to learn more about the command.\nEvery command is also available as a slash command, e.g. `/killed`.')
+            .addFields({ name: 'All Commands', value: client.commands.map(command => `\`${ctx.prefix}${command.name}\``).join(' ') });
+
+        const row1 = new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder().setCustomId('help_addboss').setLabel('Add Boss').setStyle(ButtonStyle.Primary),
+                new ButtonBuilder().setCustomId('help_killed').setLabel('Mark Killed').setStyle(ButtonStyle.Success),
+                new ButtonBuilder().setCustomId('help_status').setLabel('Status').setStyle(ButtonStyle.Secondary)
+            );
+        const row2 = new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder().setCustomId('help_removeboss').setLabel('Remove Boss').setStyle(ButtonStyle.Danger),
+                new ButtonBuilder().setCustomId('help_next').setLabel('Next Bosses').setStyle(ButtonStyle.Secondary),
+                new ButtonBuilder().setCustomId('help_restart').setLabel('Server Restart').setStyle(ButtonStyle.Danger)
+            );
+
+        await ctx.send({ embeds: [helpEmbed], components: [row1, row2] });
+    }
+});
+
+defineCommand({
+    name: 'restart',
+    description: 'Recomputes all boss timers after a server restart.',
+    usage: 'restart [tag]',
+    help: 'Use when the game server is back up after a restart: the next spawn of every boss (or only of the bosses with a tag, after a partial maintenance) is recomputed from now with its post-maintenance rule (`config restart_rule`), the notifications are scheduled as usual and one summary is posted. For planned maintenances see `maintenance`. **(Admin only)**',
+    permission: 'admin',
+    options: [
+        TAG_OPTION,
+    ],
+    async execute(ctx, options) {
+        const tag = options.tag ? normalizeTag(options.tag) : null;
+        if (options.tag && !getGuildTags(ctx.guildId).includes(tag)) {
+            return ctx.reply(`Tag "${options.tag}" not found.`);
+        }
+        if (isUnderMaintenance(ctx.guildId)) {
+            return ctx.reply('A maintenance is in progress. Use `maintenance end` when the server is back up.');
+        }
+
+        const restartEmbed = new EmbedBuilder()
+            .setColor(0xFF4500)
+            .setTitle('🚨 Server Restart Confirmation')
+            .setDescription(`This action will recompute the next spawn of ${tag ? `all **${getTaggedBosses(ctx.guildId, tag).size}** bosses tagged \`${tag}\`` : '**all** tracked bosses'} from now, replacing their current timers.\nUse this when the server is back up after a maintenance or restart.\n\n**Are you sure you want to proceed?**`);
+        
+        const row = new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(tag ? `server_restart_confirm_${tag}` : 'server_restart_confirm')
+                    .setLabel('Confirm (Server ON)')
+                    .setStyle(ButtonStyle.Danger),
+                new ButtonBuilder()
+                    .setCustomId('server_restart_cancel')
+                    .setLabel('Cancel')
+                    .setStyle(ButtonStyle.Secondary)
+            );
+        
+        await ctx.reply({ embeds: [restartEmbed], components: [row] });
+    }
+});
+
+defineCommand({
+    name: 'addboss',
+    description: 'Adds a new boss to track.',
+    usage: 'addboss "<name>" "<location>" <min_respawn_hours> [max_respawn_hours] [notification_channel_id]',
+    help: 'Adds a new boss to track. To track it on a game server, add the server after the name, e.g. `"Kuka @ Aden 2"`; without one the default server (`config default_server`) is used. Use `addserver` to track an existing boss on more servers.',
+    permission: 'admin',
+    options: [
+        { name: 'name', type: 'string', description: 'Boss name', required: true },
+        { name: 'location', type: 'string', description: 'Where the boss spawns', required: true },
+        { name: 'min_hours', type: 'number', description: 'Minimum respawn time in hours', required: true },
+        { name: 'max_hours', type: 'number', description: 'Maximum respawn time in hours (for window spawns)' },
+        { name: 'channel', type: 'channel', description: 'Channel for notifications (defaults to this channel)' },
+    ],
+    // The max hours argument is optional, so a non-numeric fourth argument is the channel.
+    parseArgs(args) {
+        const hasMaxHours = args[3] !== undefined && !isNaN(parseFloat(args[3]));
+        const channelArg = hasMaxHours ? args[4] : args[3];
+        return {
+            name: args[0] ?? null,
+            location: args[1] ?? null,
+            min_hours: args[2] !== undefined ? parseFloat(args[2]) : null,
+            max_hours: hasMaxHours ? parseFloat(args[3]) : null,
+            channel: channelArg ? coercePrefixOption({ type: 'channel' }, channelArg) : null,
+        };
+    },
+    async execute(ctx, options) {
+        const guildBosses = getGuildBosses(ctx.guildId);
+        const newBoss = parseNewBossName(ctx.guildId, options.name);
+        if (!newBoss) {
+            return ctx.reply(`Invalid boss name "${options.name}". Use "<name>" or "<name> @ <server>".`);
+        }
+        const bossName = formatBossName(newBoss);
+        const bossKey = toBossKey(newBoss.name, newBoss.server);
+        const location = options.location;
+        const minRespawnHours = options.min_hours;
+        const maxRespawnHours = options.max_hours;
+        
+        if (guildBosses.has(bossKey)) {
+            return ctx.reply(`Boss with name "${bossName}" already exists.`);
+        }
+        if (isNaN(minRespawnHours) || (maxRespawnHours !== null && isNaN(maxRespawnHours))) {
+            return ctx.reply('Respawn time must be a number.');
+        }
+        if (minRespawnHours <= 0) {
+            return ctx.reply('Respawn time must be a positive number.');
+        }
+        if (maxRespawnHours !== null && maxRespawnHours < minRespawnHours) {
+            return ctx.reply('Maximum respawn time cannot be less than minimum.');
+        }
+        
+        const notificationChannelId = await resolveNotificationChannelId(ctx, options.channel);
+
+        guildBosses.set(bossKey, createBossRecord({
+            type: 'respawn',
+            name: newBoss.name,
+            server: newBoss.server,
+            location: location,
+            minRespawnHours: minRespawnHours,
+            maxRespawnHours: maxRespawnHours,
+            notificationChannelId: notificationChannelId,
+            originalChannelId: ctx.channel.id,
         }));
-    
-        const CHUNK_SIZE = 25;
-        const chunkedOptions = [];
-        for (let i = 0; i < allOptions.length; i += CHUNK_SIZE) {
-            chunkedOptions.push(allOptions.slice(i, i + CHUNK_SIZE));
+        await ctx.reply(`Boss **${bossName}** (Location: ${location}, Respawn: ${minRespawnHours}${maxRespawnHours ? `-${maxRespawnHours}` : ''} hrs) added. Notifications in channel <#${notificationChannelId}>.`);
+        logAudit(ctx.guildId, ctx.user.id, 'add_boss', { bossKey, bossName, summary: `Respawn ${minRespawnHours}${maxRespawnHours ? `-${maxRespawnHours}` : ''} hrs` });
+        saveBossData();
+    }
+});
+
+defineCommand({
+    name: 'addschedule',
+    description: 'Adds a boss that spawns at fixed times of day.',
+    usage: 'addschedule "<name>" "<location>" "<days> <HH:MM>[; <days> <HH:MM>...]" [timezone] [notification_channel_id]',
+    help: 'Adds a boss that spawns on a fixed schedule instead of a respawn timer, e.g. `"Tue,Thu,Sat 21:00"`, `"Daily 12:00,20:00"` or `"Mon-Fri 19:30; Sun 15:00"`. Times are in the given time zone, or the server time zone (see `timezone`).',
+    permission: 'admin',
+    options: [
+        { name: 'name', type: 'string', description: 'Boss name', required: true },
+        { name: 'location', type: 'string', description: 'Where the boss spawns', required: true },
+        { name: 'schedule', type: 'string', description: 'Spawn days and times, e.g. "Tue,Thu,Sat 21:00"', required: true },
+        { name: 'timezone', type: 'string', description: 'IANA time zone of the schedule, e.g. Europe/Berlin (defaults to the server time zone)' },
+        { name: 'channel', type: 'channel', description: 'Channel for notifications (defaults to this channel)' },
+    ],
+    // The time zone argument is optional, so a fourth argument that isn't a time zone is the channel.
+    parseArgs(args) {
+        const hasTimeZone = args[3] !== undefined && isValidTimeZone(args[3]);
+        const channelArg = hasTimeZone ? args[4] : args[3];
+        return {
+            name: args[0] ?? null,
+            location: args[1] ?? null,
+            schedule: args[2] ?? null,
+            timezone: hasTimeZone ? args[3] : null,
+            channel: channelArg ? coercePrefixOption({ type: 'channel' }, channelArg) : null,
+        };
+    },
+    async execute(ctx, options) {
+        const guildBosses = getGuildBosses(ctx.guildId);
+        const newBoss = parseNewBossName(ctx.guildId, options.name);
+        if (!newBoss) {
+            return ctx.reply(`Invalid boss name "${options.name}". Use "<name>" or "<name> @ <server>".`);
         }
-    
-        await message.reply({ content: 'Please select the boss you want to remove from the list below:', ephemeral: true });
+        const bossName = formatBossName(newBoss);
+        const bossKey = toBossKey(newBoss.name, newBoss.server);
+        const timeZone = options.timezone || getGuildTimeZone(ctx.guildId);
 
-        for (let i = 0; i < chunkedOptions.length; i++) {
-            const chunk = chunkedOptions[i];
-            const selectMenu = new StringSelectMenuBuilder()
-                .setCustomId(`remove_boss_select_${i}`)
-                .setPlaceholder(`Select a boss to remove (Page ${i + 1}/${chunkedOptions.length})`)
-                .addOptions(chunk);
-    
-            const row = new ActionRowBuilder().addComponents(selectMenu);
-    
-            await message.channel.send({
-                content: `Page ${i + 1} of ${chunkedOptions.length}:`,
-                components: [row]
+        if (guildBosses.has(bossKey)) {
+            return ctx.reply(`Boss with name "${bossName}" already exists.`);
+        }
+        if (!parseSchedule(options.schedule)) {
+            return ctx.reply(`Invalid schedule: "${options.schedule}". Use days and times like \`"Tue,Thu,Sat 21:00"\` or \`"Daily 12:00,20:00"\`.`);
+        }
+        if (!isValidTimeZone(timeZone)) {
+            return ctx.reply(`Unknown time zone: "${timeZone}". Use an IANA name such as \`Europe/Berlin\` or \`Asia/Seoul\`.`);
+        }
+
+        const notificationChannelId = await resolveNotificationChannelId(ctx, options.channel);
+
+        const boss = createBossRecord({
+            type: 'schedule',
+            name: newBoss.name,
+            server: newBoss.server,
+            location: options.location,
+            schedule: { expression: options.schedule, timeZone: timeZone },
+            notificationChannelId: notificationChannelId,
+            originalChannelId: ctx.channel.id,
+        });
+        boss.nextSpawnEstimateMin = getNextScheduledSpawn(boss, Date.now());
+        guildBosses.set(bossKey, boss);
+
+        await ctx.reply(`Scheduled boss **${bossName}** (Location: ${options.location}, Schedule: ${formatRespawn(boss)}) added. Next spawn: ${formatNextSpawn(boss)}. Notifications in channel <#${notificationChannelId}>.`);
+        scheduleBossNotifications(ctx.guildId, bossKey);
+        logAudit(ctx.guildId, ctx.user.id, 'add_boss', { bossKey, bossName, summary: `Schedule ${formatRespawn(boss)}` });
+        saveBossData();
+    }
+});
+
+// Fields that `editboss` can change
+const EDITABLE_BOSS_FIELDS = ['name', 'location', 'min_hours', 'max_hours', 'server'];
+
+// Moves a boss to the key of its new name or server. Timer handlers, audit entries, attendance and pending
+// kill reports refer to the boss by key, so they all follow it; the old key is kept in formerKeys.
+function rekeyBoss(guildId, oldKey, newKey) {
+    const guildBosses = getGuildBosses(guildId);
+    const boss = guildBosses.get(oldKey);
+    const autoMissJob = client.scheduler.get(bossJobId(guildId, oldKey, 'automiss'));
+    clearBossTimers(guildId, oldKey);
+
+    // Rebuilt rather than deleted and re-added so the boss keeps its place in lists
+    const entries = [...guildBosses.entries()];
+    guildBosses.clear();
+    entries.forEach(([bossKey, guildBoss]) => guildBosses.set(bossKey === oldKey ? newKey : bossKey, guildBoss));
+    boss.formerKeys = [...new Set([...boss.formerKeys, oldKey])].filter(key => key !== newKey);
+
+    (client.auditLog.get(guildId) || []).forEach(entry => {
+        if (entry.bossKey === oldKey) entry.bossKey = newKey;
+    });
+    saveAuditLog();
+    getGuildAttendance(guildId).awards.forEach(award => {
+        if (award.bossKey === oldKey) award.bossKey = newKey;
+    });
+    saveAttendance();
+    [...client.attendanceSessions.values(), ...client.pendingKillReports.values()].forEach(pending => {
+        if (pending.guildId === guildId && pending.bossKey === oldKey) pending.bossKey = newKey;
+    });
+
+    if (boss.nextSpawnEstimateMin && boss.nextSpawnEstimateMin > Date.now()) {
+        scheduleBossNotifications(guildId, newKey);
+    }
+    if (autoMissJob && boss.messageIdToTrack) {
+        scheduleAutoMissTimer(guildId, newKey, boss.messageIdToTrack, getBossNotificationChannelId(guildId, boss));
+        client.scheduler.reschedule(bossJobId(guildId, newKey, 'automiss'), autoMissJob.runAt);
+    }
+}
+
+defineCommand({
+    name: 'editboss',
+    description: 'Changes the name, location, respawn time or game server of a boss.',
+    usage: 'editboss "<boss_name>" <name|location|min_hours|max_hours|server> <value>',
+    help: 'Changes one field of a boss without losing its timers or history. Name, location and respawn hours are changed on every game server the boss is tracked on; `server` moves only the given one (`none` takes it off its server). When the respawn hours change, the next spawn is recalculated from the last kill. Use `none` as the value of `max_hours` to remove the window. **(Admin only)**',
+    permission: 'admin',
+    options: [
+        BOSS_OPTION,
+        { name: 'field', type: 'string', description: 'Field to change', required: true, choices: EDITABLE_BOSS_FIELDS },
+        { name: 'value', type: 'string', description: 'New value', required: true, rest: true },
+    ],
+    async execute(ctx, options) {
+        const guildBosses = getGuildBosses(ctx.guildId);
+        const boss = guildBosses.get(findBossKey(ctx.guildId, options.boss));
+        const field = options.field.toLowerCase();
+        const value = options.value.trim();
+        if (!boss) {
+            return ctx.reply(formatBossNotFound(ctx.guildId, options.boss));
+        }
+        if (!EDITABLE_BOSS_FIELDS.includes(field)) {
+            return ctx.reply(`Unknown field "${options.field}". Available: ${EDITABLE_BOSS_FIELDS.map(editableField => `\`${editableField}\``).join(', ')}.`);
+        }
+        if (!value) {
+            return ctx.reply(`Usage: ${ctx.prefix}editboss "<boss_name>" <name|location|min_hours|max_hours|server> <value>`);
+        }
+
+        // The boss on every server shares its definition; only `server` is changed for one of them
+        const bosses = (field === 'server' ? [getBossKey(boss)] : getBossInstanceKeys(ctx.guildId, boss.name)).map(bossKey => guildBosses.get(bossKey));
+
+        let summary;
+        if (field === 'name' || field === 'server') {
+            const newServer = field === 'server' && value.toLowerCase() !== 'none' ? normalizeServerName(value) : null;
+            if (field === 'server' && value.toLowerCase() !== 'none' && !newServer) {
+                return ctx.reply(`"${value}" is not a valid server name.`);
+            }
+            if (field === 'name' && value.includes('@')) {
+                return ctx.reply('Boss names cannot contain "@". Use the `server` field to change the server.');
+            }
+            const moves = bosses.map(instance => ({
+                instance: instance,
+                oldKey: getBossKey(instance),
+                newKey: field === 'name' ? toBossKey(value, instance.server) : toBossKey(instance.name, newServer),
+            }));
+            const taken = moves.find(move => move.newKey !== move.oldKey && guildBosses.has(move.newKey));
+            if (taken) {
+                return ctx.reply(`Boss "${formatBossName(guildBosses.get(taken.newKey))}" already exists.`);
+            }
+
+            summary = field === 'name'
+                ? `Renamed from ${boss.name} to ${value}`
+                : `Moved from ${boss.server || 'no server'} to ${newServer || 'no server'}`;
+            moves.forEach(({ instance, oldKey, newKey }) => {
+                if (field === 'name') instance.name = value;
+                else instance.server = newServer;
+                if (newKey !== oldKey) rekeyBoss(ctx.guildId, oldKey, newKey);
             });
+        } else if (field === 'location') {
+            summary = `Location changed from ${boss.location} to ${value}`;
+            bosses.forEach(instance => instance.location = value);
+        } else {
+            if (isScheduledBoss(boss)) {
+                return ctx.reply(`**${formatBossName(boss)}** spawns on a fixed schedule and has no respawn hours.`);
+            }
+            const hours = field === 'max_hours' && value.toLowerCase() === 'none' ? null : parseFloat(value);
+            if (hours !== null && (isNaN(hours) || hours <= 0)) {
+                return ctx.reply('Respawn time must be a positive number.');
+            }
+            const minRespawnHours = field === 'min_hours' ? hours : boss.minRespawnHours;
+            const maxRespawnHours = field === 'max_hours' ? hours : boss.maxRespawnHours;
+            if (maxRespawnHours !== null && maxRespawnHours < minRespawnHours) {
+                return ctx.reply('Maximum respawn time cannot be less than minimum.');
+            }
+
+            const oldRespawn = formatRespawn(boss);
+            for (const instance of bosses) {
+                const bossKey = getBossKey(instance);
+                instance.minRespawnHours = minRespawnHours;
+                instance.maxRespawnHours = maxRespawnHours;
+
+                // A spawn that is up, or estimated after missed spawns, keeps its times until the next report.
+                // A shorter respawn can make the new estimate due already, which posts its spawn message now.
+                if (instance.lastKilled && !instance.isWindow && !instance.messageIdToTrack) {
+                    applyKillTime(instance, instance.lastKilled);
+                    await restoreBossTimers(ctx.guildId, bossKey);
+                }
+                // Undo would bring back estimates that were calculated with the old respawn time
+                forgetUndoStates(ctx.guildId, bossKey);
+            }
+            summary = `Respawn changed from ${oldRespawn} to ${formatRespawn(boss)}`;
         }
-    } else if (commandName === 'next') {
-        if (guildBosses.size === 0) {
-            return message.reply('No bosses are being tracked to show the next spawns.');
+
+        bosses.forEach(instance => {
+            logAudit(ctx.guildId, ctx.user.id, 'boss_settings', { bossKey: getBossKey(instance), bossName: formatBossName(instance), summary });
+        });
+        saveBossData();
+        await ctx.reply(`✏️ **${formatBossName(boss)}**${bosses.length > 1 ? ` (and ${bosses.length - 1} other server${bosses.length > 2 ? 's' : ''})` : ''}: ${summary}.`
+            + `${field.endsWith('_hours') && boss.nextSpawnEstimateMin ? `\nNext spawn: ${formatNextSpawn(boss)}` : ''}`);
+    }
+});
+
+// Definition fields a boss on a new server copies from the same boss on another server
+const BOSS_SERVER_COPY_FIELDS = ['type', 'location', 'minRespawnHours', 'maxRespawnHours', 'schedule', 'notificationChannelId', 'originalChannelId', 'pingRoleId', 'overrides', 'tags'];
+
+defineCommand({
+    name: 'addserver',
+    description: 'Tracks an existing boss on another game server with its own timer.',
+    usage: 'addserver "<boss_name>" <server>',
+    help: 'Adds the boss on another game server, e.g. `addserver "Kuka" Aden 3`. It gets the same location, respawn time, channel, role, settings and tags, but its own independent timer. Refer to it as `"Kuka @ Aden 3"`. **(Admin only)**',
+    permission: 'admin',
+    options: [
+        BOSS_OPTION,
+        { name: 'server', type: 'string', description: 'Game server, e.g. Aden 3', required: true, rest: true },
+    ],
+    async execute(ctx, options) {
+        const guildBosses = getGuildBosses(ctx.guildId);
+        const source = guildBosses.get(findBossKey(ctx.guildId, options.boss));
+        const server = normalizeServerName(options.server);
+        if (!source) {
+            return ctx.reply(formatBossNotFound(ctx.guildId, options.boss));
+        }
+        if (!server) {
+            return ctx.reply(`"${options.server}" is not a valid server name.`);
+        }
+        const bossKey = toBossKey(source.name, server);
+        if (guildBosses.has(bossKey)) {
+            return ctx.reply(`**${formatBossName(guildBosses.get(bossKey))}** is already tracked.`);
         }
 
-        const now = Date.now();
-        const upcomingBosses = [...guildBosses.values()]
-            .filter(boss => boss.nextSpawnEstimateMin && boss.nextSpawnEstimateMin > now)
-            .sort((a, b) => a.nextSpawnEstimateMin - b.nextSpawnEstimateMin);
+        const definition = {};
+        BOSS_SERVER_COPY_FIELDS.forEach(field => {
+            if (source[field] !== undefined) definition[field] = structuredClone(source[field]);
+        });
+        const boss = createBossRecord({ ...definition, name: source.name, server: server });
+        if (isScheduledBoss(boss)) {
+            boss.nextSpawnEstimateMin = getNextScheduledSpawn(boss, Date.now());
+        }
+        guildBosses.set(bossKey, boss);
+        if (boss.nextSpawnEstimateMin) {
+            scheduleBossNotifications(ctx.guildId, bossKey);
+        }
 
-        if (upcomingBosses.length === 0) {
-            return message.reply('There are no upcoming boss spawns scheduled.');
+        logAudit(ctx.guildId, ctx.user.id, 'add_boss', { bossKey, bossName: formatBossName(boss), summary: `Copied from ${formatBossName(source)}` });
+        saveBossData();
+        await ctx.reply(`Boss **${formatBossName(boss)}** added with its own timer (${formatRespawn(boss)}). Notifications in channel <#${getBossNotificationChannelId(ctx.guildId, boss)}>.`);
+    }
+});
+
+defineCommand({
+    name: 'killed',
+    description: 'Marks a boss as killed.',
+    usage: 'killed "<boss_name>" ["HH:MM" | "25m ago" | "YYYY-MM-DD HH:MM"]',
+    help: 'Marks a boss as killed. If no time is given, uses the current time. Times are read in the server time zone (see `timezone`): `HH:MM` is today (or yesterday if that would be in the future), `-25m`/`25m ago`/`1h 5m ago` are relative to now, and full dates use `YYYY-MM-DD HH:MM`. A given time must be confirmed before it is saved.',
+    permission: 'tracker',
+    options: [
+        BOSS_OPTION,
+        { name: 'time', type: 'string', description: 'Kill time: "HH:MM", "25m ago" or "YYYY-MM-DD HH:MM" (defaults to now)', rest: true },
+    ],
+    async execute(ctx, options) {
+        const guildBosses = getGuildBosses(ctx.guildId);
+        const bossNameArg = options.boss;
+        const bossKey = findBossKey(ctx.guildId, bossNameArg);
+        const boss = guildBosses.get(bossKey);
+
+        if (!boss) {
+            return ctx.reply(formatBossNotFound(ctx.guildId, bossNameArg));
         }
-        
-        const nextFive = upcomingBosses.slice(0, 5);
 
-        await message.reply(`Here are the next ${nextFive.length} upcoming boss spawns:`);
+        if (!options.time) {
+            await updateBossAsKilled(ctx.guildId, bossKey, new Date().getTime(), ctx.channel, ctx.interaction, ctx.user.id);
+            return;
+        }
 
-        for (const boss of nextFive) {
-            const spawnEmbed = new EmbedBuilder()
-                .setColor(boss.isWindow ? 0x4169E1 : 0x32CD32) // RoyalBlue for Window, LimeGreen for exact
-                .setTitle(`⚔️ ${boss.name}`)
-                .addFields(
-                    { name: 'Location', value: boss.location, inline: true },
-                    { name: 'Spawn Time', value: formatNextSpawn(boss), inline: false }
-                )
-                .setTimestamp(boss.nextSpawnEstimateMin);
-            
-            if (boss.isWindow) {
-                spawnEmbed.setFooter({text: 'This is the start of the respawn window.'});
+        const timeZone = getGuildTimeZone(ctx.guildId);
+        const killTimestamp = parseKillTime(options.time, timeZone);
+        if (killTimestamp === null) {
+            return ctx.reply(`Invalid time format: "${options.time}". Use \`"HH:MM"\`, \`"25m ago"\` or \`"YYYY-MM-DD HH:MM"\` (time zone: ${timeZone}).`);
+        }
+        if (killTimestamp > Date.now()) {
+            return ctx.reply(`The kill time <t:${Math.floor(killTimestamp / 1000)}:F> is in the future.`);
+        }
+
+        // Show how the input was understood and only commit once the reporter confirms it
+        client.pendingKillReports.forEach((report, id) => {
+            if (report.expiresAt < Date.now()) client.pendingKillReports.delete(id);
+        });
+        const reportId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        client.pendingKillReports.set(reportId, {
+            guildId: ctx.guildId,
+            bossKey: bossKey,
+            killTimestamp: killTimestamp,
+            userId: ctx.user.id,
+            expiresAt: Date.now() + PENDING_KILL_REPORT_TTL_MINUTES * 60 * 1000
+        });
+
+        const confirmEmbed = new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle(`🕒 Confirm kill time for ${formatBossName(boss)}`)
+            .setDescription(`\`${options.time}\` was interpreted as <t:${Math.floor(killTimestamp / 1000)}:F> (<t:${Math.floor(killTimestamp / 1000)}:R>).`)
+            .setFooter({ text: `Time zone: ${timeZone} • Expires in ${PENDING_KILL_REPORT_TTL_MINUTES} minutes` });
+
+        const row = new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`killconfirm_${reportId}`)
+                    .setLabel('Confirm')
+                    .setStyle(ButtonStyle.Success),
+                new ButtonBuilder()
+                    .setCustomId(`killcancel_${reportId}`)
+                    .setLabel('Cancel')
+                    .setStyle(ButtonStyle.Secondary)
+            );
+
+        await ctx.reply({ embeds: [confirmEmbed], components: [row], ephemeral: true });
+    }
+});
+
+defineCommand({
+    name: 'undo',
+    description: 'Reverts the last kill, miss or timeout recorded for a boss.',
+    usage: 'undo [boss_name]',
+    help: 'Reverts the most recent kill, miss, "did not appear", timeout or kill time correction, for the given boss or for the whole server, and restores the timers. Repeat to go further back. Every undo is recorded in the audit log.',
+    permission: 'tracker',
+    options: [
+        { ...BOSS_OPTION, required: false, rest: true },
+    ],
+    async execute(ctx, options) {
+        const guildBosses = getGuildBosses(ctx.guildId);
+        let bossKey = null;
+        if (options.boss) {
+            bossKey = findBossKey(ctx.guildId, options.boss);
+            if (!guildBosses.has(bossKey)) {
+                return ctx.reply(formatBossNotFound(ctx.guildId, options.boss));
+            }
+        }
+
+        const entry = findUndoableAuditEntry(ctx.guildId, bossKey);
+        if (!entry) {
+            return ctx.reply(`There is nothing to undo${bossKey ? ` for **${formatBossName(guildBosses.get(bossKey))}**` : ''}.`);
+        }
+
+        const boss = undoBossChange(ctx.guildId, entry, ctx.user.id);
+        if (!boss) {
+            return ctx.reply(`Boss **${entry.bossName}** no longer exists, so change #${entry.id} can't be undone.`);
+        }
+        await restoreBossTimers(ctx.guildId, entry.bossKey);
+
+        let replyContent = `↩️ Reverted ${AUDIT_ACTION_LABELS[entry.action] || entry.action} for **${formatBossName(boss)}** (#${entry.id}${entry.actorId ? ` by <@${entry.actorId}>` : ''}). Next respawn: ${formatNextSpawn(boss)}`;
+        if (boss.nextSpawnEstimateMin && boss.nextSpawnEstimateMin <= Date.now() && !boss.messageIdToTrack) {
+            replyContent += '\nThe restored spawn time has already passed. Use `killed` to set a new timer.';
+        }
+        await ctx.reply({ content: replyContent, allowedMentions: { parse: [] } });
+    }
+});
+
+defineCommand({
+    name: 'fixkill',
+    description: 'Corrects the time of the last recorded kill of a boss.',
+    usage: 'fixkill "<boss_name>" <"HH:MM" | "25m ago" | "YYYY-MM-DD HH:MM">',
+    help: 'Changes the time of the most recent kill of a boss and recalculates its next spawn. Times are read like in `killed`. The correction is recorded in the audit log and can be reverted with `undo`.',
+    permission: 'tracker',
+    options: [
+        BOSS_OPTION,
+        { name: 'time', type: 'string', description: 'Correct kill time: "HH:MM", "25m ago" or "YYYY-MM-DD HH:MM"', required: true, rest: true },
+    ],
+    async execute(ctx, options) {
+        const guildBosses = getGuildBosses(ctx.guildId);
+        const bossKey = findBossKey(ctx.guildId, options.boss);
+        const boss = guildBosses.get(bossKey);
+        if (!boss) {
+            return ctx.reply(formatBossNotFound(ctx.guildId, options.boss));
+        }
+
+        const killEntry = [...boss.history].reverse().find(entry => entry.type === 'kill');
+        if (!boss.lastKilled || !killEntry || killEntry.timestamp !== boss.lastKilled) {
+            return ctx.reply(`**${formatBossName(boss)}** has no kill to correct since its last spawn. Use \`killed\` to report one.`);
+        }
+
+        const timeZone = getGuildTimeZone(ctx.guildId);
+        const killTimestamp = parseKillTime(options.time, timeZone);
+        if (killTimestamp === null) {
+            return ctx.reply(`Invalid time format: "${options.time}". Use \`"HH:MM"\`, \`"25m ago"\` or \`"YYYY-MM-DD HH:MM"\` (time zone: ${timeZone}).`);
+        }
+        if (killTimestamp > Date.now()) {
+            return ctx.reply(`The kill time <t:${Math.floor(killTimestamp / 1000)}:F> is in the future.`);
+        }
+
+        const previousTimestamp = boss.lastKilled;
+        const before = { ...captureBossState(boss), killEntry: { recordedAt: killEntry.recordedAt, timestamp: killEntry.timestamp } };
+        killEntry.timestamp = killTimestamp;
+        applyKillTime(boss, killTimestamp);
+        logAudit(ctx.guildId, ctx.user.id, 'fix_kill', { bossKey, bossName: formatBossName(boss), summary: `<t:${Math.floor(previousTimestamp / 1000)}:f> → <t:${Math.floor(killTimestamp / 1000)}:f>`, before });
+
+        scheduleBossNotifications(ctx.guildId, bossKey);
+        saveBossData();
+        await ctx.reply(`🛠️ Kill time of **${formatBossName(boss)}** corrected from <t:${Math.floor(previousTimestamp / 1000)}:F> to <t:${Math.floor(killTimestamp / 1000)}:F>. Next respawn: ${formatNextSpawn(boss)}`);
+    }
+});
+
+defineCommand({
+    name: 'timezone',
+    description: 'Shows or sets the time zone used for kill times and schedules.',
+    usage: 'timezone [IANA_time_zone]',
+    help: 'Shows the server time zone, or sets it (e.g. `Europe/Berlin`, `Asia/Seoul`). Used to read kill times and as the default for new scheduled bosses. **(Admin only to change)**',
+    permission: 'viewer',
+    options: [
+        { name: 'zone', type: 'string', description: 'IANA time zone, e.g. Europe/Berlin' },
+    ],
+    async execute(ctx, options) {
+        if (!options.zone) {
+            return ctx.reply(`The time zone for this server is **${getGuildTimeZone(ctx.guildId)}**.`);
+        }
+        if (!hasPermission(ctx.guildId, ctx.member, 'admin')) {
+            return ctx.reply({ content: 'You need the **admin** permission to change the time zone.', ephemeral: true });
+        }
+        if (!isValidTimeZone(options.zone)) {
+            return ctx.reply(`Unknown time zone: "${options.zone}". Use an IANA name such as \`Europe/Berlin\` or \`Asia/Seoul\`.`);
+        }
+
+        getGuildSettings(ctx.guildId).timeZone = options.zone;
+        saveGuildSettings();
+        logAudit(ctx.guildId, ctx.user.id, 'guild_settings', { summary: `Time zone set to ${options.zone}` });
+        await ctx.reply(`Time zone for this server set to **${options.zone}**. Existing scheduled bosses keep their own time zone.`);
+    }
+});
+
+defineCommand({
+    name: 'config',
+    description: 'Shows or changes the timing settings and prefix for this server or a boss.',
+    usage: 'config [key] [value|default] ["<boss_name>"]',
+    help: `Shows the settings for this server. With a key and value, changes it for the server, or for one boss when a boss name is given. Use \`default\` as the value to remove a setting. Keys: ${Object.keys(CONFIG_KEYS).map(key => `\`${key}\``).join(', ')}. **(Admin only to change)**`,
+    permission: 'viewer',
+    options: [
+        { name: 'key', type: 'string', description: 'Setting to show or change', choices: Object.keys(CONFIG_KEYS) },
+        { name: 'value', type: 'string', description: 'New value, or "default" to remove the setting' },
+        { name: 'boss', type: 'string', description: 'Change the setting only for this boss', autocomplete: true },
+    ],
+    async execute(ctx, options) {
+        const guildBosses = getGuildBosses(ctx.guildId);
+
+        if (!options.key) {
+            return ctx.reply({ embeds: [createConfigEmbed(ctx.guildId)] });
+        }
+
+        const configKey = CONFIG_KEYS[options.key.toLowerCase()];
+        if (!configKey) {
+            return ctx.reply(`Unknown setting "${options.key}". Available: ${Object.keys(CONFIG_KEYS).map(key => `\`${key}\``).join(', ')}.`);
+        }
+
+        let boss = null;
+        if (options.boss) {
+            boss = guildBosses.get(findBossKey(ctx.guildId, options.boss));
+            if (!boss) {
+                return ctx.reply(formatBossNotFound(ctx.guildId, options.boss));
+            }
+            if (configKey.guildOnly) {
+                return ctx.reply(`\`${options.key}\` can only be set for the whole server.`);
+            }
+        }
+
+        if (options.value === null) {
+            const value = boss ? getBossSetting(ctx.guildId, boss, configKey.setting) : getGuildSetting(ctx.guildId, configKey.setting);
+            return ctx.reply(`${configKey.label}${boss ? ` for **${formatBossName(boss)}**` : ''}: **${formatConfigValue(configKey, value)}**`);
+        }
+
+        if (!hasPermission(ctx.guildId, ctx.member, 'admin')) {
+            return ctx.reply({ content: 'You need the **admin** permission to change settings.', ephemeral: true });
+        }
+
+        const resetValue = ['default', 'reset'].includes(options.value.toLowerCase());
+        const newValue = resetValue ? null : configKey.parse(options.value);
+        if (!resetValue && newValue === null) {
+            return ctx.reply(`Invalid value "${options.value}" for \`${options.key}\`.`);
+        }
+
+        if (boss) {
+            if (resetValue) {
+                delete boss.overrides[configKey.setting];
+            } else {
+                boss.overrides[configKey.setting] = newValue;
+            }
+            logAudit(ctx.guildId, ctx.user.id, 'boss_settings', { bossKey: getBossKey(boss), bossName: formatBossName(boss), summary: `${options.key} ${resetValue ? 'reset to default' : `set to ${formatConfigValue(configKey, newValue)}`}` });
+            saveBossData();
+            if (boss.nextSpawnEstimateMin && boss.nextSpawnEstimateMin > Date.now()) {
+                scheduleBossNotifications(ctx.guildId, getBossKey(boss));
+            }
+        } else {
+            const settings = getGuildSettings(ctx.guildId);
+            if (resetValue) {
+                delete settings[configKey.setting];
+            } else {
+                settings[configKey.setting] = newValue;
+            }
+            logAudit(ctx.guildId, ctx.user.id, 'guild_settings', { summary: `${options.key} ${resetValue ? 'reset to default' : `set to ${formatConfigValue(configKey, newValue)}`}` });
+            saveGuildSettings();
+            guildBosses.forEach((guildBoss, bossKey) => {
+                if (guildBoss.nextSpawnEstimateMin && guildBoss.nextSpawnEstimateMin > Date.now()) {
+                    scheduleBossNotifications(ctx.guildId, bossKey);
+                }
+            });
+        }
+
+        const effectiveValue = boss ? getBossSetting(ctx.guildId, boss, configKey.setting) : getGuildSetting(ctx.guildId, configKey.setting);
+        await ctx.reply(`${configKey.label}${boss ? ` for **${formatBossName(boss)}**` : ''} is now **${formatConfigValue(configKey, effectiveValue)}**${resetValue ? ' (default)' : ''}.`);
+    }
+});
+
+defineCommand({
+    name: 'history',
+    description: 'Shows the kill, miss and timeout history of a boss.',
+    usage: 'history "<boss_name>" [page]',
+    help: 'Shows the recorded kills, misses and timeouts of a boss, newest first.',
+    permission: 'viewer',
+    options: [
+        BOSS_OPTION,
+        { name: 'page', type: 'integer', description: 'Page number (newest entries first)', minValue: 1 },
+    ],
+    async execute(ctx, options) {
+        const guildBosses = getGuildBosses(ctx.guildId);
+        const bossKey = findBossKey(ctx.guildId, options.boss);
+        const boss = guildBosses.get(bossKey);
+
+        if (!boss) {
+            return ctx.reply(formatBossNotFound(ctx.guildId, options.boss));
+        }
+        if (options.page !== null && (isNaN(options.page) || options.page < 1)) {
+            return ctx.reply('Page must be a positive number.');
+        }
+
+        await ctx.reply(createHistoryMessage(ctx.guildId, bossKey, boss, options.page || 1));
+    }
+});
+
+defineCommand({
+    name: 'audit',
+    description: 'Shows the log of changes to bosses and settings on this server.',
+    usage: 'audit [page]',
+    help: 'Shows who changed what and when: kills, misses, timeouts, corrections, undos, and boss and settings changes, newest first. **(Admin only)**',
+    permission: 'admin',
+    options: [
+        { name: 'page', type: 'integer', description: 'Page number (newest entries first)', minValue: 1 },
+    ],
+    async execute(ctx, options) {
+        if (options.page !== null && (isNaN(options.page) || options.page < 1)) {
+            return ctx.reply('Page must be a positive number.');
+        }
+        await ctx.reply({ embeds: [createAuditLogEmbed(ctx.guildId, options.page || 1)], ephemeral: true });
+    }
+});
+
+defineCommand({
+    name: 'status',
+    description: 'Shows the status of all tracked bosses or a specific boss.',
+    usage: 'status [name|tag|server]',
+    help: 'Shows the status of all tracked bosses, a specific boss (on all of its game servers unless one is given, e.g. `"Kuka @ Aden 2"`), the bosses with a tag or the bosses on a game server.',
+    permission: 'viewer',
+    options: [
+        { ...BOSS_OPTION, required: false, rest: true },
+        TAG_OPTION,
+        SERVER_OPTION,
+    ],
+    async execute(ctx, options) {
+        const guildBosses = getGuildBosses(ctx.guildId);
+        if (guildBosses.size === 0) {
+            return ctx.reply('No bosses are being tracked on this server.');
+        }
+
+        const bossKeys = [];
+        if (options.boss) {
+            const bossNameArg = options.boss; 
+            const bossKey = findBossKey(ctx.guildId, bossNameArg);
+            const instanceKeys = getBossInstanceKeys(ctx.guildId, bossNameArg);
+            const tag = normalizeTag(bossNameArg);
+            const server = findGuildServer(ctx.guildId, bossNameArg);
+            if (guildBosses.has(bossKey) && parseBossReference(bossNameArg).server) {
+                bossKeys.push(bossKey);
+            } else if (instanceKeys.length > 0) {
+                bossKeys.push(...instanceKeys);
+            } else if (guildBosses.has(bossKey)) {
+                bossKeys.push(bossKey);
+            } else if (tag && getTaggedBosses(ctx.guildId, tag).size > 0) {
+                // Prefix commands have a single argument; a name that isn't a boss may be a tag or server
+                bossKeys.push(...getTaggedBosses(ctx.guildId, tag).keys());
+            } else if (server) {
+                bossKeys.push(...getFilteredBosses(ctx.guildId, { server }).keys());
+            } else {
+                return ctx.reply(`Boss, tag or server "${bossNameArg}" not found.`);
+            }
+        } else if (options.tag || options.server) {
+            const tag = options.tag ? normalizeTag(options.tag) : null;
+            if (options.tag && !getGuildTags(ctx.guildId).includes(tag)) {
+                return ctx.reply(`Tag "${options.tag}" not found.`);
+            }
+            bossKeys.push(...getFilteredBosses(ctx.guildId, { tag, server: options.server }).keys());
+            if (bossKeys.length === 0) {
+                return ctx.reply('No bosses match this filter.');
+            }
+        } else {
+            bossKeys.push(...guildBosses.keys());
+        }
+        
+        if (bossKeys.length > 0) {
+             for (let i = 0; i < bossKeys.length; i += 10) {
+                const chunk = bossKeys.slice(i, i + 10);
+                await ctx.send({
+                    embeds: chunk.map(bossKey => createBossStatusEmbed(ctx.guildId, guildBosses.get(bossKey))),
+                    components: createReminderButtons(ctx.guildId, chunk)
+                });
+            }
+        } else {
+             return ctx.reply('No information to display.');
+        }
+    }
+});
+
+defineCommand({
+    name: 'removeboss',
+    description: 'Opens an interactive menu to select a boss to remove.',
+    usage: 'removeboss [tag]',
+    help: 'Opens an interactive menu to select a boss to remove, optionally listing only the bosses with a tag.',
+    permission: 'admin',
+    options: [
+        TAG_OPTION,
+    ],
+    async execute(ctx, options) {
+        const tag = options.tag ? normalizeTag(options.tag) : null;
+        if (options.tag && !getGuildTags(ctx.guildId).includes(tag)) {
+            return ctx.reply(`Tag "${options.tag}" not found.`);
+        }
+        const guildBosses = getTaggedBosses(ctx.guildId, tag);
+        if (guildBosses.size === 0) {
+            return ctx.reply(options.tag ? `No bosses are tagged "${options.tag}".` : 'There are no bosses to remove.');
+        }
+    
+        const allOptions = guildBosses.map(boss => ({
+            label: formatBossName(boss).substring(0, 100),
+            description: `Location: ${boss.location}`.substring(0, 100),
+            value: getBossKey(boss).substring(0, 100)
+        }));
+    
+        const CHUNK_SIZE = 25;
+        const chunkedOptions = [];
+        for (let i = 0; i < allOptions.length; i += CHUNK_SIZE) {
+            chunkedOptions.push(allOptions.slice(i, i + CHUNK_SIZE));
+        }
+    
+        await ctx.reply({ content: 'Please select the boss you want to remove from the list below:', ephemeral: true });
+
+        for (let i = 0; i < chunkedOptions.length; i++) {
+            const chunk = chunkedOptions[i];
+            const selectMenu = new StringSelectMenuBuilder()
+                .setCustomId(`remove_boss_select_${i}`)
+                .setPlaceholder(`Select a boss to remove (Page ${i + 1}/${chunkedOptions.length})`)
+                .addOptions(chunk);
+    
+            const row = new ActionRowBuilder().addComponents(selectMenu);
+    
+            await ctx.send({
+                content: `Page ${i + 1} of ${chunkedOptions.length}:`,
+                components: [row]
+            });
+        }
+    }
+});
+
+defineCommand({
+    name: 'next',
+    description: 'Displays the next 5 upcoming boss spawns.',
+    usage: 'next [tag|server]',
+    help: 'Displays the next 5 upcoming boss spawns, optionally only of the bosses with a tag or on a game server.',
+    permission: 'viewer',
+    options: [
+        TAG_OPTION,
+        SERVER_OPTION,
+    ],
+    parseArgs(args) {
+        return { tag: args.join(' ').trim() || null, server: null };
+    },
+    async execute(ctx, options) {
+        let { tag, server } = options;
+        // The prefix command has a single argument, which may name a game server instead of a tag
+        if (tag && !server && findGuildServer(ctx.guildId, tag)) {
+            server = tag;
+            tag = null;
+        }
+        const guildBosses = getFilteredBosses(ctx.guildId, { tag: tag ? normalizeTag(tag) || tag : null, server: server });
+        if (guildBosses.size === 0) {
+            return ctx.reply(tag || server ? 'No bosses match this filter.' : 'No bosses are being tracked to show the next spawns.');
+        }
+
+        const now = Date.now();
+        const upcomingBosses = [...guildBosses.values()]
+            .filter(boss => boss.nextSpawnEstimateMin && boss.nextSpawnEstimateMin > now)
+            .sort((a, b) => a.nextSpawnEstimateMin - b.nextSpawnEstimateMin);
+
+        if (upcomingBosses.length === 0) {
+            return ctx.reply('There are no upcoming boss spawns scheduled.');
+        }
+        
+        const nextFive = upcomingBosses.slice(0, 5);
+
+        await ctx.reply(`Here are the next ${nextFive.length} upcoming boss spawns:`);
+
+        for (const boss of nextFive) {
+            const spawnEmbed = new EmbedBuilder()
+                .setColor(boss.isWindow ? 0x4169E1 : 0x32CD32) // RoyalBlue for Window, LimeGreen for exact
+                .setTitle(`⚔️ ${formatBossName(boss)}`)
+                .addFields(
+                    { name: 'Location', value: boss.location, inline: true },
+                    { name: 'Spawn Time', value: formatNextSpawn(boss), inline: false }
+                )
+                .setTimestamp(boss.nextSpawnEstimateMin);
+            
+            if (boss.isWindow) {
+                spawnEmbed.setFooter({text: 'This is the start of the respawn window.'});
+            }
+
+            await ctx.send({ embeds: [spawnEmbed] });
+        }
+    }
+});
+
+defineCommand({
+    name: 'setchannel',
+    description: 'Sets or changes the notification channel for a specific boss.',
+    usage: 'setchannel "<boss_name>" <channel_id>',
+    help: 'Sets or changes the notification channel for a specific boss.',
+    permission: 'admin',
+    options: [
+        BOSS_OPTION,
+        { name: 'channel', type: 'channel', description: 'Channel for notifications', required: true },
+    ],
+    async execute(ctx, options) {
+        const guildBosses = getGuildBosses(ctx.guildId);
+        const bossNameArg = options.boss;
+        const bossKey = findBossKey(ctx.guildId, bossNameArg);
+        const newChannelId = options.channel;
+        const boss = guildBosses.get(bossKey);
+
+        if (!boss) {
+            return ctx.reply(formatBossNotFound(ctx.guildId, bossNameArg));
+        }
+
+        try {
+            const channel = await client.channels.fetch(newChannelId);
+            if (channel && channel.type === 0 /* GUILD_TEXT */) {
+                const botMember = await ctx.guild.members.fetch(client.user.id);
+                if (!channel.permissionsFor(botMember).has(PermissionsBitField.Flags.SendMessages)) {
+                     return ctx.reply(`I do not have permission to send messages in channel <#${newChannelId}>.`);
+                }
+
+                boss.notificationChannelId = newChannelId;
+                const tagChannelId = getTagRoute(ctx.guildId, boss, 'channelId');
+                await ctx.reply(`Notification channel for boss **${formatBossName(boss)}** changed to <#${newChannelId}>.${tagChannelId ? `\nNote: its tags route notifications to <#${tagChannelId}>, which takes precedence.` : ''}`);
+                logAudit(ctx.guildId, ctx.user.id, 'boss_settings', { bossKey, bossName: formatBossName(boss), summary: `Notification channel set to <#${newChannelId}>` });
+                saveBossData();
+                if (boss.nextSpawnEstimateMin && boss.nextSpawnEstimateMin > Date.now()) {
+                    scheduleBossNotifications(ctx.guildId, bossKey); 
+                }
+            } else {
+                await ctx.reply(`Channel with ID ${newChannelId} not found or is not a text channel.`);
+            }
+        } catch (error) {
+            console.error("Error setting channel:", error);
+            await ctx.reply(`Could not find channel with ID ${newChannelId}.`);
+        }
+    }
+});
+
+defineCommand({
+    name: 'setrole',
+    description: 'Sets the role that is pinged for a boss instead of @everyone.',
+    usage: 'setrole "<boss_name>" <@role|none>',
+    help: 'Sets the role pinged for a boss\'s notifications. Members can join or leave it with `subscribe`. Use `none` to remove it. **(Admin only)**',
+    permission: 'admin',
+    options: [
+        BOSS_OPTION,
+        { name: 'role', type: 'role', description: 'Role to ping (leave empty to remove)' },
+    ],
+    async execute(ctx, options) {
+        const guildBosses = getGuildBosses(ctx.guildId);
+        const boss = guildBosses.get(findBossKey(ctx.guildId, options.boss));
+        if (!boss) {
+            return ctx.reply(formatBossNotFound(ctx.guildId, options.boss));
+        }
+
+        if (!options.role || options.role.toLowerCase() === 'none') {
+            boss.pingRoleId = null;
+            logAudit(ctx.guildId, ctx.user.id, 'boss_settings', { bossKey: getBossKey(boss), bossName: formatBossName(boss), summary: 'Ping role removed' });
+            saveBossData();
+            return ctx.reply(`**${formatBossName(boss)}** no longer pings a role.`);
+        }
+
+        const role = await ctx.guild.roles.fetch(options.role).catch(() => null);
+        if (!role) {
+            return ctx.reply(`Role ${options.role} not found.`);
+        }
+        if (role.managed || role.id === ctx.guild.id) {
+            return ctx.reply('That role cannot be used for boss pings.');
+        }
+
+        boss.pingRoleId = role.id;
+        logAudit(ctx.guildId, ctx.user.id, 'boss_settings', { bossKey: getBossKey(boss), bossName: formatBossName(boss), summary: `Ping role set to <@&${role.id}>` });
+        saveBossData();
+
+        let replyContent = `**${formatBossName(boss)}** notifications will now ping <@&${role.id}>.`;
+        if (!role.editable) {
+            replyContent += '\nWarning: my highest role is below this role, so members cannot subscribe to it through me.';
+        }
+        await ctx.reply({ content: replyContent, allowedMentions: { parse: [] } });
+    }
+});
+
+defineCommand({
+    name: 'permissions',
+    description: 'Shows or assigns the roles for the admin, tracker and viewer levels.',
+    usage: 'permissions [admin|tracker|viewer|none] [@role]',
+    help: 'Shows which roles have which level, or assigns a role to a level (`none` removes it). **Admin** manages bosses and settings, **tracker** reports kills and uses the spawn buttons, **viewer** can see timers. Until tracker roles are assigned everyone can track; until viewer roles are assigned everyone can view. **(Admin only to change)**',
+    permission: 'viewer',
+    options: [
+        { name: 'level', type: 'string', description: 'Permission level to assign the role to', choices: [...PERMISSION_LEVELS, 'none'] },
+        { name: 'role', type: 'role', description: 'Role to assign' },
+    ],
+    async execute(ctx, options) {
+        const settings = getGuildSettings(ctx.guildId);
+        const permissionRoles = settings.permissionRoles || {};
+
+        if (!options.level) {
+            const permissionsEmbed = new EmbedBuilder()
+                .setColor(0x0099FF)
+                .setTitle('🔐 Permission Roles')
+                .addFields(PERMISSION_LEVELS.slice().reverse().map(level => ({
+                    name: level,
+                    value: (permissionRoles[level] || []).map(roleId => `<@&${roleId}>`).join(', ') || (level === 'admin' ? 'Administrators only' : 'Everyone')
+                })));
+            return ctx.reply({ embeds: [permissionsEmbed] });
+        }
+
+        const level = options.level.toLowerCase();
+        if (!hasPermission(ctx.guildId, ctx.member, 'admin')) {
+            return ctx.reply({ content: 'You need the **admin** permission to change permissions.', ephemeral: true });
+        }
+        if (![...PERMISSION_LEVELS, 'none'].includes(level) || !options.role) {
+            return ctx.reply(`Usage: ${ctx.prefix}permissions [admin|tracker|viewer|none] [@role]`);
+        }
+
+        // A role belongs to at most one level
+        PERMISSION_LEVELS.forEach(existingLevel => {
+            permissionRoles[existingLevel] = (permissionRoles[existingLevel] || []).filter(roleId => roleId !== options.role);
+        });
+        if (level !== 'none') {
+            permissionRoles[level].push(options.role);
+        }
+        settings.permissionRoles = permissionRoles;
+        saveGuildSettings();
+        logAudit(ctx.guildId, ctx.user.id, 'guild_settings', { summary: `<@&${options.role}> ${level === 'none' ? 'removed from permission levels' : `given the ${level} level`}` });
+
+        await ctx.reply({
+            content: level === 'none' ? `<@&${options.role}> no longer has a permission level.` : `<@&${options.role}> now has the **${level}** permission.`,
+            allowedMentions: { parse: [] }
+        });
+    }
+});
+
+// Roles that are linked to at least one boss, with the names of those bosses.
+function getSubscribableRoles(guildId) {
+    const roles = new Map();
+    client.bossData.get(guildId)?.forEach(boss => {
+        const pingRoleId = getBossPingRoleId(guildId, boss);
+        if (!pingRoleId) return;
+        if (!roles.has(pingRoleId)) roles.set(pingRoleId, []);
+        roles.get(pingRoleId).push(formatBossName(boss));
+    });
+    return roles;
+}
+
+async function updateMemberSubscriptions(member, roleIds, subscribe) {
+    const changed = [];
+    const failed = [];
+    for (const roleId of roleIds) {
+        if (member.roles.cache.has(roleId) === subscribe) continue;
+        try {
+            if (subscribe) {
+                await member.roles.add(roleId, 'Boss notification subscription');
+            } else {
+                await member.roles.remove(roleId, 'Boss notification subscription');
+            }
+            changed.push(roleId);
+        } catch (error) {
+            console.error(`Failed to ${subscribe ? 'add' : 'remove'} role ${roleId} for member ${member.id}:`, error);
+            failed.push(roleId);
+        }
+    }
+
+    const verb = subscribe ? 'Subscribed to' : 'Unsubscribed from';
+    let message = changed.length > 0 ? `${verb} ${changed.map(roleId => `<@&${roleId}>`).join(', ')}.` : 'Nothing to change.';
+    if (failed.length > 0) {
+        message += `\nCould not update ${failed.map(roleId => `<@&${roleId}>`).join(', ')}. Please ask an administrator to check my role permissions.`;
+    }
+    return message;
+}
+
+async function executeSubscription(ctx, options, subscribe) {
+    const subscribableRoles = getSubscribableRoles(ctx.guildId);
+    if (subscribableRoles.size === 0) {
+        return ctx.reply({ content: 'No boss roles have been set up on this server yet.', ephemeral: true });
+    }
+
+    if (options.boss) {
+        const boss = getGuildBosses(ctx.guildId).get(findBossKey(ctx.guildId, options.boss));
+        if (!boss) {
+            return ctx.reply({ content: formatBossNotFound(ctx.guildId, options.boss), ephemeral: true });
+        }
+        const pingRoleId = getBossPingRoleId(ctx.guildId, boss);
+        if (!pingRoleId) {
+            return ctx.reply({ content: `**${formatBossName(boss)}** has no notification role.`, ephemeral: true });
+        }
+        const result = await updateMemberSubscriptions(ctx.member, [pingRoleId], subscribe);
+        return ctx.reply({ content: result, ephemeral: true, allowedMentions: { parse: [] } });
+    }
+
+    const roleOptions = [...subscribableRoles.entries()].slice(0, 25).map(([roleId, bossNames]) => ({
+        label: (ctx.guild.roles.cache.get(roleId)?.name || roleId).substring(0, 100),
+        description: bossNames.join(', ').substring(0, 100),
+        value: roleId
+    }));
+
+    const selectMenu = new StringSelectMenuBuilder()
+        .setCustomId(subscribe ? 'role_subscribe_select' : 'role_unsubscribe_select')
+        .setPlaceholder(subscribe ? 'Select the boss roles to join' : 'Select the boss roles to leave')
+        .setMinValues(1)
+        .setMaxValues(roleOptions.length)
+        .addOptions(roleOptions);
+
+    await ctx.reply({
+        content: subscribe ? 'Which boss notifications do you want to receive?' : 'Which boss notifications do you want to stop receiving?',
+        components: [new ActionRowBuilder().addComponents(selectMenu)],
+        ephemeral: true
+    });
+}
+
+defineCommand({
+    name: 'subscribe',
+    description: 'Join the notification role of a boss.',
+    usage: 'subscribe ["<boss_name>"]',
+    help: 'Gives you the notification role of a boss, or opens a menu of all boss roles.',
+    permission: 'viewer',
+    options: [
+        { ...BOSS_OPTION, required: false, rest: true },
+    ],
+    async execute(ctx, options) {
+        await executeSubscription(ctx, options, true);
+    }
+});
+
+defineCommand({
+    name: 'unsubscribe',
+    description: 'Leave the notification role of a boss.',
+    usage: 'unsubscribe ["<boss_name>"]',
+    help: 'Removes the notification role of a boss from you, or opens a menu of all boss roles.',
+    permission: 'viewer',
+    options: [
+        { ...BOSS_OPTION, required: false, rest: true },
+    ],
+    async execute(ctx, options) {
+        await executeSubscription(ctx, options, false);
+    }
+});
+
+function getDmSubscription(boss, userId) {
+    return boss.dmSubscriptions.find(subscription => subscription.userId === userId);
+}
+
+// Adds or updates a member's DM reminder for a boss and (re)schedules its timers.
+function setDmSubscription(guildId, bossKey, userId, leadMinutes) {
+    const boss = client.bossData.get(guildId)?.get(bossKey);
+    if (!boss) return null;
+
+    let subscription = getDmSubscription(boss, userId);
+    if (!subscription) {
+        subscription = { userId: userId };
+        boss.dmSubscriptions.push(subscription);
+    }
+    subscription.leadMinutes = leadMinutes;
+    subscription.enabled = true;
+
+    if (boss.nextSpawnEstimateMin && boss.nextSpawnEstimateMin > Date.now()) {
+        scheduleBossNotifications(guildId, bossKey);
+    }
+    saveBossData();
+    return subscription;
+}
+
+function removeDmSubscription(guildId, bossKey, userId) {
+    const boss = client.bossData.get(guildId)?.get(bossKey);
+    if (!boss || !getDmSubscription(boss, userId)) return false;
+
+    clearDmReminderTimer(guildId, bossKey, userId);
+    boss.dmSubscriptions = boss.dmSubscriptions.filter(subscription => subscription.userId !== userId);
+    saveBossData();
+    return true;
+}
+
+// One "DM me" toggle button per boss, five to a row.
+function createReminderButtons(guildId, bossKeys) {
+    const guildBosses = client.bossData.get(guildId);
+    const rows = [];
+    for (let i = 0; i < bossKeys.length; i += 5) {
+        rows.push(new ActionRowBuilder().addComponents(
+            bossKeys.slice(i, i + 5).map(bossKey => new ButtonBuilder()
+                .setCustomId(`dmremind_${bossKey}_${guildId}`)
+                .setLabel(`DM me: ${formatBossName(guildBosses.get(bossKey))}`.substring(0, 80))
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('🔔'))
+        ));
+    }
+    return rows;
+}
+
+defineCommand({
+    name: 'remind',
+    description: 'Get a direct message before a boss spawns.',
+    usage: 'remind ["<boss_name>"] [minutes|off]',
+    help: `Sends you a direct message the given number of minutes before the boss spawns (default ${DM_REMINDER_DEFAULT_LEAD_MINUTES}). Use \`off\` to stop. Without a boss name, lists your reminders.`,
+    permission: 'viewer',
+    options: [
+        { ...BOSS_OPTION, required: false },
+        { name: 'minutes', type: 'string', description: `Minutes before the spawn, or "off" (default ${DM_REMINDER_DEFAULT_LEAD_MINUTES})` },
+    ],
+    async execute(ctx, options) {
+        const guildBosses = getGuildBosses(ctx.guildId);
+
+        if (!options.boss) {
+            const reminders = guildBosses
+                .filter(boss => getDmSubscription(boss, ctx.user.id))
+                .map(boss => {
+                    const subscription = getDmSubscription(boss, ctx.user.id);
+                    return `**${formatBossName(boss)}**: ${subscription.leadMinutes} min before${subscription.enabled ? '' : ' (disabled, DMs were closed)'}`;
+                });
+            return ctx.reply({ content: reminders.length > 0 ? `Your reminders:\n${reminders.join('\n')}` : 'You have no boss reminders.', ephemeral: true });
+        }
+
+        const bossKey = findBossKey(ctx.guildId, options.boss);
+        const boss = guildBosses.get(bossKey);
+        if (!boss) {
+            return ctx.reply({ content: formatBossNotFound(ctx.guildId, options.boss), ephemeral: true });
+        }
+
+        if (options.minutes && options.minutes.toLowerCase() === 'off') {
+            const removed = removeDmSubscription(ctx.guildId, bossKey, ctx.user.id);
+            return ctx.reply({ content: removed ? `You will no longer get DMs for **${formatBossName(boss)}**.` : `You had no reminder for **${formatBossName(boss)}**.`, ephemeral: true });
+        }
+
+        const leadMinutes = options.minutes ? parseConfigMinutes(options.minutes, 0) : DM_REMINDER_DEFAULT_LEAD_MINUTES;
+        if (leadMinutes === null) {
+            return ctx.reply({ content: 'Minutes must be a number between 0 and 1440, or `off`.', ephemeral: true });
+        }
+
+        setDmSubscription(ctx.guildId, bossKey, ctx.user.id, leadMinutes);
+        await ctx.reply({ content: `I will DM you ${leadMinutes} minutes before **${formatBossName(boss)}** spawns. Make sure you accept direct messages from server members.`, ephemeral: true });
+    }
+});
+
+// --- Tags ---
+// Bosses can carry tags (region, "field", "elite", ...) that `status`, `next`, `removeboss` and
+// `restart` can filter by. A tag can also route notifications: its channel is used instead of the
+// boss's own notification channel, and its role is pinged for bosses without a role of their own.
+// When several tags of a boss have a route, the tag that was added first wins.
+
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+// Lower-cased tag without a leading #, or null if it isn't a valid tag
+function normalizeTag(value) {
+    if (typeof value !== 'string') return null;
+    const tag = value.trim().toLowerCase().replace(/^#/, '');
+    return TAG_PATTERN.test(tag) ? tag : null;
+}
+
+// Tags used by the guild's bosses or routes, sorted
+function getGuildTags(guildId) {
+    const tags = new Set(Object.keys(getGuildSetting(guildId, 'tagRoutes')));
+    client.bossData.get(guildId)?.forEach(boss => boss.tags.forEach(tag => tags.add(tag)));
+    return [...tags].sort();
+}
+
+// Bosses of a guild, limited to one tag if given
+function getTaggedBosses(guildId, tag) {
+    const guildBosses = getGuildBosses(guildId);
+    return tag ? guildBosses.filter(boss => boss.tags.includes(tag)) : guildBosses;
+}
+
+function getTagRoute(guildId, boss, field) {
+    const tagRoutes = getGuildSetting(guildId, 'tagRoutes');
+    const routedTag = boss.tags.find(tag => tagRoutes[tag]?.[field]);
+    return routedTag ? tagRoutes[routedTag][field] : null;
+}
+
+function getBossNotificationChannelId(guildId, boss) {
+    return getTagRoute(guildId, boss, 'channelId') || boss.notificationChannelId || boss.originalChannelId;
+}
+
+function getBossPingRoleId(guildId, boss) {
+    return boss.pingRoleId || getTagRoute(guildId, boss, 'roleId');
+}
+
+// Stores one field of a tag's route; the route is dropped once it routes nothing
+function setTagRoute(guildId, tag, field, value) {
+    const settings = getGuildSettings(guildId);
+    const tagRoutes = { ...(settings.tagRoutes || {}) };
+    const route = { ...(tagRoutes[tag] || {}), [field]: value };
+    if (route.channelId || route.roleId) tagRoutes[tag] = route;
+    else delete tagRoutes[tag];
+    settings.tagRoutes = tagRoutes;
+    saveGuildSettings();
+}
+
+// Pending notifications pick up a changed channel when they are scheduled again
+function rescheduleTaggedBosses(guildId, tag) {
+    const now = Date.now();
+    getTaggedBosses(guildId, tag).forEach((boss, bossKey) => {
+        if (boss.nextSpawnEstimateMin && boss.nextSpawnEstimateMin > now) scheduleBossNotifications(guildId, bossKey);
+    });
+}
+
+defineCommand({
+    name: 'tag',
+    description: 'Adds a tag to a boss or removes it.',
+    usage: 'tag <add|remove> "<boss_name>" <tag>',
+    help: 'Adds a tag such as a region, `field`, `dungeon`, `elite` or `priority` to a boss, or removes it. Tags are lower case letters, digits, `-` and `_`. `status`, `next`, `removeboss` and `restart` can be limited to a tag, and `tagchannel`/`tagrole` route the notifications of all bosses with a tag. **(Admin only)**',
+    permission: 'admin',
+    options: [
+        { name: 'action', type: 'string', description: 'Add or remove the tag', required: true, choices: ['add', 'remove'] },
+        BOSS_OPTION,
+        { ...TAG_OPTION, required: true },
+    ],
+    async execute(ctx, options) {
+        const action = options.action.toLowerCase();
+        const bossKey = findBossKey(ctx.guildId, options.boss);
+        const boss = getGuildBosses(ctx.guildId).get(bossKey);
+        const tag = normalizeTag(options.tag);
+        if (!['add', 'remove'].includes(action)) {
+            return ctx.reply(`Usage: ${ctx.prefix}tag <add|remove> "<boss_name>" <tag>`);
+        }
+        if (!boss) {
+            return ctx.reply(formatBossNotFound(ctx.guildId, options.boss));
+        }
+        if (!tag) {
+            return ctx.reply(`"${options.tag}" is not a valid tag. Use up to 32 lower case letters, digits, \`-\` and \`_\`.`);
+        }
+
+        if (action === 'add') {
+            if (boss.tags.includes(tag)) return ctx.reply(`**${formatBossName(boss)}** already has the tag \`${tag}\`.`);
+            boss.tags.push(tag);
+        } else {
+            if (!boss.tags.includes(tag)) return ctx.reply(`**${formatBossName(boss)}** doesn't have the tag \`${tag}\`.`);
+            boss.tags = boss.tags.filter(existingTag => existingTag !== tag);
+        }
+        logAudit(ctx.guildId, ctx.user.id, 'boss_settings', { bossKey, bossName: formatBossName(boss), summary: `Tag ${tag} ${action === 'add' ? 'added' : 'removed'}` });
+        saveBossData();
+        if (boss.nextSpawnEstimateMin && boss.nextSpawnEstimateMin > Date.now()) {
+            scheduleBossNotifications(ctx.guildId, bossKey);
+        }
+        await ctx.reply(`**${formatBossName(boss)}** tags: ${boss.tags.map(bossTag => `\`${bossTag}\``).join(' ') || 'none'}.`);
+    }
+});
+
+defineCommand({
+    name: 'tags',
+    description: 'Lists the boss tags with their bosses and notification routes.',
+    usage: 'tags',
+    help: 'Lists every tag with the bosses that have it and the channel and role it routes notifications to.',
+    permission: 'viewer',
+    async execute(ctx) {
+        const tags = getGuildTags(ctx.guildId);
+        if (tags.length === 0) {
+            return ctx.reply(`No tags yet. Add one with \`${ctx.prefix}tag add "<boss_name>" <tag>\`.`);
+        }
+
+        const tagRoutes = getGuildSetting(ctx.guildId, 'tagRoutes');
+        const tagsEmbed = new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle('🏷️ Boss Tags')
+            .addFields(tags.slice(0, 25).map(tag => {
+                const bossNames = getTaggedBosses(ctx.guildId, tag).map(boss => boss.name);
+                const route = tagRoutes[tag] || {};
+                const routeText = [
+                    route.channelId ? `Channel: <#${route.channelId}>` : null,
+                    route.roleId ? `Role: <@&${route.roleId}>` : null,
+                ].filter(Boolean).join(' · ');
+                return {
+                    name: tag,
+                    value: `${bossNames.join(', ') || 'No bosses'}${routeText ? `\n${routeText}` : ''}`.substring(0, 1024)
+                };
+            }));
+        if (tags.length > 25) {
+            tagsEmbed.setFooter({ text: `${tags.length - 25} more tags not shown` });
+        }
+        await ctx.reply({ embeds: [tagsEmbed], allowedMentions: { parse: [] } });
+    }
+});
+
+defineCommand({
+    name: 'tagchannel',
+    description: 'Sends the notifications of all bosses with a tag to one channel.',
+    usage: 'tagchannel <tag> <channel_id|none>',
+    help: 'Sends the notifications of every boss with the tag to this channel instead of the bosses\' own channels. Use `none` to go back to the bosses\' channels. **(Admin only)**',
+    permission: 'admin',
+    options: [
+        { ...TAG_OPTION, required: true },
+        { name: 'channel', type: 'channel', description: 'Channel for notifications (leave empty to remove)' },
+    ],
+    async execute(ctx, options) {
+        const tag = normalizeTag(options.tag);
+        if (!tag) {
+            return ctx.reply(`"${options.tag}" is not a valid tag.`);
+        }
+
+        if (!options.channel || options.channel.toLowerCase() === 'none') {
+            setTagRoute(ctx.guildId, tag, 'channelId', null);
+            logAudit(ctx.guildId, ctx.user.id, 'guild_settings', { summary: `Tag ${tag} notification channel removed` });
+            rescheduleTaggedBosses(ctx.guildId, tag);
+            return ctx.reply(`Bosses tagged \`${tag}\` notify in their own channels again.`);
+        }
+
+        const channel = await client.channels.fetch(options.channel).catch(() => null);
+        if (!channel || channel.type !== 0 /* GUILD_TEXT */ || channel.guildId !== ctx.guildId) {
+            return ctx.reply(`Channel with ID ${options.channel} not found or is not a text channel.`);
+        }
+        const botMember = await ctx.guild.members.fetch(client.user.id);
+        if (!channel.permissionsFor(botMember).has(PermissionsBitField.Flags.SendMessages)) {
+            return ctx.reply(`I do not have permission to send messages in channel <#${channel.id}>.`);
+        }
+
+        setTagRoute(ctx.guildId, tag, 'channelId', channel.id);
+        logAudit(ctx.guildId, ctx.user.id, 'guild_settings', { summary: `Tag ${tag} notification channel set to <#${channel.id}>` });
+        rescheduleTaggedBosses(ctx.guildId, tag);
+        await ctx.reply(`Notifications for bosses tagged \`${tag}\` (${getTaggedBosses(ctx.guildId, tag).size}) now go to <#${channel.id}>.`);
+    }
+});
+
+defineCommand({
+    name: 'tagrole',
+    description: 'Sets the role pinged for all bosses with a tag.',
+    usage: 'tagrole <tag> <@role|none>',
+    help: 'Pings the role for every boss with the tag that has no role of its own (see `setrole`). Members can join or leave it with `subscribe`. Use `none` to remove it. **(Admin only)**',
+    permission: 'admin',
+    options: [
+        { ...TAG_OPTION, required: true },
+        { name: 'role', type: 'role', description: 'Role to ping (leave empty to remove)' },
+    ],
+    async execute(ctx, options) {
+        const tag = normalizeTag(options.tag);
+        if (!tag) {
+            return ctx.reply(`"${options.tag}" is not a valid tag.`);
+        }
+
+        if (!options.role || options.role.toLowerCase() === 'none') {
+            setTagRoute(ctx.guildId, tag, 'roleId', null);
+            logAudit(ctx.guildId, ctx.user.id, 'guild_settings', { summary: `Tag ${tag} ping role removed` });
+            return ctx.reply(`Bosses tagged \`${tag}\` no longer ping a tag role.`);
+        }
+
+        const role = await ctx.guild.roles.fetch(options.role).catch(() => null);
+        if (!role) {
+            return ctx.reply(`Role ${options.role} not found.`);
+        }
+        if (role.managed || role.id === ctx.guild.id) {
+            return ctx.reply('That role cannot be used for boss pings.');
+        }
+
+        setTagRoute(ctx.guildId, tag, 'roleId', role.id);
+        logAudit(ctx.guildId, ctx.user.id, 'guild_settings', { summary: `Tag ${tag} ping role set to <@&${role.id}>` });
+
+        let replyContent = `Bosses tagged \`${tag}\` will now ping <@&${role.id}> unless they have a role of their own.`;
+        if (!role.editable) {
+            replyContent += '\nWarning: my highest role is below this role, so members cannot subscribe to it through me.';
+        }
+        await ctx.reply({ content: replyContent, allowedMentions: { parse: [] } });
+    }
+});
+
+// --- Attendance and points ---
+// Reporting a kill with the Killed button opens an attendance check: members click "I was there"
+// until it closes, and trackers can add members who didn't click. Every attendee is credited the
+// boss's `kill_points`. All-time totals are kept per member; individual awards are kept for
+// ATTENDANCE_AWARD_RETENTION_DAYS so leaderboards can cover a recent period.
+
+function saveAttendance() {
+    attendanceStore.save(() => Object.fromEntries(client.attendance));
+}
+
+function loadAttendance() {
+    try {
+        client.attendance.clear();
+        const loadedAttendance = attendanceStore.load();
+        if (loadedAttendance) {
+            for (const guildId in loadedAttendance) {
+                client.attendance.set(guildId, loadedAttendance[guildId]);
+            }
+            console.log('Attendance points loaded successfully.');
+        }
+    } catch (error) {
+        console.error('Failed to load attendance points:', error);
+    }
+}
+
+function getGuildAttendance(guildId) {
+    if (!client.attendance.has(guildId)) {
+        client.attendance.set(guildId, { totals: {}, awards: [] });
+    }
+    return client.attendance.get(guildId);
+}
+
+// Credits a member for an open attendance check; returns false if they were already credited
+function creditAttendee(session, userId, awardedBy) {
+    if (session.attendees.includes(userId)) return false;
+    session.attendees.push(userId);
+
+    const attendance = getGuildAttendance(session.guildId);
+    attendance.totals[userId] = (attendance.totals[userId] || 0) + session.points;
+    attendance.awards.push({
+        userId: userId,
+        points: session.points,
+        bossKey: session.bossKey,
+        bossName: session.bossName,
+        killTimestamp: session.killTimestamp,
+        awardedAt: Date.now(),
+        awardedBy: awardedBy,
+    });
+    const cutoff = Date.now() - ATTENDANCE_AWARD_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    attendance.awards = attendance.awards.filter(award => award.awardedAt >= cutoff);
+    saveAttendance();
+    return true;
+}
+
+function createAttendanceMessage(session, closed = false) {
+    const embed = new EmbedBuilder()
+        .setColor(closed ? 0x708090 : 0x32CD32) // SlateGray / LimeGreen
+        .setTitle(`🙋 ${session.bossName} - Attendance`)
+        .setDescription(closed
+            ? `Attendance for the kill at <t:${Math.floor(session.killTimestamp / 1000)}:f> is closed. Each attendee got **${session.points}** point(s).`
+            : `Killed at <t:${Math.floor(session.killTimestamp / 1000)}:f>. Click **I was there** before <t:${Math.floor(session.closesAt / 1000)}:t> (<t:${Math.floor(session.closesAt / 1000)}:R>) to get **${session.points}** point(s). Officers can add members with the menu below.`)
+        .addFields({
+            name: `Attendees (${session.attendees.length})`,
+            value: session.attendees.length > 0 ? session.attendees.map(userId => `<@${userId}>`).join(' ').substring(0, 1024) : 'Nobody yet.'
+        });
+
+    if (closed) return { embeds: [embed], components: [] };
+
+    const buttonRow = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`attend_${session.id}`)
+                .setLabel('I was there')
+                .setStyle(ButtonStyle.Success)
+                .setEmoji('🙋')
+        );
+    const selectRow = new ActionRowBuilder()
+        .addComponents(
+            new UserSelectMenuBuilder()
+                .setCustomId(`attendselect_${session.id}`)
+                .setPlaceholder('Officers: add attendees')
+                .setMinValues(1)
+                .setMaxValues(25)
+        );
+    return { embeds: [embed], components: [buttonRow, selectRow], allowedMentions: { parse: [] } };
+}
+
+// Posts an attendance check for a kill, unless the boss gives no points or the window is 0
+async function startAttendance(guildId, bossKey, killTimestamp, channel) {
+    const boss = client.bossData.get(guildId)?.get(bossKey);
+    if (!boss || !channel) return;
+
+    const windowMinutes = getBossSetting(guildId, boss, 'attendanceWindowMinutes');
+    const points = getBossSetting(guildId, boss, 'killPoints');
+    if (!windowMinutes || !points) return;
+
+    const session = {
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        guildId: guildId,
+        bossKey: bossKey,
+        bossName: formatBossName(boss),
+        killTimestamp: killTimestamp,
+        points: points,
+        attendees: [],
+        closesAt: Date.now() + windowMinutes * 60 * 1000,
+        channelId: channel.id,
+        messageId: null,
+    };
+
+    try {
+        const message = await channel.send(createAttendanceMessage(session));
+        session.messageId = message.id;
+    } catch (error) {
+        console.error(`Error posting attendance check for ${formatBossName(boss)}:`, error);
+        return;
+    }
+
+    client.attendanceSessions.set(session.id, session);
+    // Not tagged with the boss key, so rescheduling the boss's notifications leaves it running
+    client.scheduler.schedule(`attendance_${session.id}`, session.closesAt, () => closeAttendance(session.id), { type: 'attendance', data: { guildId } });
+}
+
+async function closeAttendance(sessionId) {
+    const session = client.attendanceSessions.get(sessionId);
+    if (!session) return;
+    client.attendanceSessions.delete(sessionId);
+
+    logAudit(session.guildId, null, 'attendance', { bossKey: session.bossKey, bossName: session.bossName, summary: `${session.attendees.length} attendee(s) credited ${session.points} point(s) each` });
+
+    const channel = await client.channels.fetch(session.channelId).catch(() => null);
+    const message = channel ? await channel.messages.fetch(session.messageId).catch(() => null) : null;
+    if (message) {
+        await message.edit({ ...createAttendanceMessage(session, true), allowedMentions: { parse: [] } }).catch(console.error);
+    }
+}
+
+// Points per member since `since` (all-time totals when null), highest first
+function getPointStandings(guildId, since = null) {
+    const attendance = getGuildAttendance(guildId);
+    let totals = attendance.totals;
+    if (since) {
+        totals = {};
+        attendance.awards
+            .filter(award => award.killTimestamp >= since)
+            .forEach(award => {
+                totals[award.userId] = (totals[award.userId] || 0) + award.points;
+            });
+    }
+    return Object.entries(totals)
+        .map(([userId, points]) => ({ userId, points }))
+        .sort((a, b) => b.points - a.points);
+}
+
+defineCommand({
+    name: 'points',
+    description: 'Shows the attendance points of a member.',
+    usage: 'points [@member]',
+    help: 'Shows the attendance points of a member (yourself if nobody is given): all-time and for the last week and month.',
+    permission: 'viewer',
+    options: [
+        { name: 'member', type: 'user', description: 'Member to show (defaults to you)' },
+    ],
+    async execute(ctx, options) {
+        const userId = options.member || ctx.user.id;
+        const pointsSince = days => getPointStandings(ctx.guildId, Date.now() - days * 24 * 60 * 60 * 1000)
+            .find(standing => standing.userId === userId)?.points || 0;
+        const total = getGuildAttendance(ctx.guildId).totals[userId] || 0;
+
+        await ctx.reply({
+            content: `<@${userId}> has **${total}** point(s) in total (${pointsSince(REPORT_PERIODS.week)} this week, ${pointsSince(REPORT_PERIODS.month)} this month).`,
+            allowedMentions: { parse: [] }
+        });
+    }
+});
+
+defineCommand({
+    name: 'leaderboard',
+    description: 'Shows the members with the most attendance points.',
+    usage: 'leaderboard [week|month|all]',
+    help: `Shows the ${LEADERBOARD_SIZE} members with the most attendance points over the last week, the last month, or all time (default).`,
+    permission: 'viewer',
+    options: [
+        { name: 'period', type: 'string', description: 'Time period (defaults to all)', choices: Object.keys(REPORT_PERIODS) },
+    ],
+    async execute(ctx, options) {
+        const period = (options.period || 'all').toLowerCase();
+        if (!Object.hasOwn(REPORT_PERIODS, period)) {
+            return ctx.reply(`Unknown period "${options.period}". Use ${Object.keys(REPORT_PERIODS).map(key => `\`${key}\``).join(', ')}.`);
+        }
+
+        const days = REPORT_PERIODS[period];
+        const standings = getPointStandings(ctx.guildId, days ? Date.now() - days * 24 * 60 * 60 * 1000 : null)
+            .filter(standing => standing.points > 0)
+            .slice(0, LEADERBOARD_SIZE);
+
+        const leaderboardEmbed = new EmbedBuilder()
+            .setColor(0xFFD700) // Gold
+            .setTitle(`🏆 Attendance Leaderboard (${period === 'all' ? 'all time' : `last ${period}`})`)
+            .setDescription(standings.length > 0
+                ? standings.map((standing, index) => `**${index + 1}.** <@${standing.userId}> — ${standing.points} pts`).join('\n')
+                : 'No points have been awarded in this period.');
+        await ctx.reply({ embeds: [leaderboardEmbed], allowedMentions: { parse: [] } });
+    }
+});
+
+// --- Loot ---
+// Drops are recorded per kill from the "Record Loot" button on the kill message and stored on
+// the boss record. Reports can be filtered by boss, member and period; drop rates count the
+// share of recorded kills of a boss in which an item dropped.
+
+function createLootButtonRow(guildId, bossKey, killTimestamp) {
+    return new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`loot_${killTimestamp}_${bossKey}_${guildId}`)
+                .setLabel('Record Loot')
+                .setStyle(ButtonStyle.Primary)
+                .setEmoji('💎')
+        );
+}
+
+function createLootModal(guildId, bossKey, boss, killTimestamp) {
+    return new ModalBuilder()
+        .setCustomId(`lootmodal_${killTimestamp}_${bossKey}_${guildId}`)
+        .setTitle(`Loot from ${formatBossName(boss)}`.substring(0, 45))
+        .addComponents(
+            new ActionRowBuilder().addComponents(
+                new TextInputBuilder()
+                    .setCustomId('item')
+                    .setLabel('Item')
+                    .setStyle(TextInputStyle.Short)
+                    .setMaxLength(LOOT_ITEM_MAX_LENGTH)
+                    .setRequired(true)
+            ),
+            new ActionRowBuilder().addComponents(
+                new TextInputBuilder()
+                    .setCustomId('rarity')
+                    .setLabel('Rarity')
+                    .setPlaceholder('e.g. Rare, Heroic, Legendary')
+                    .setStyle(TextInputStyle.Short)
+                    .setMaxLength(30)
+                    .setRequired(false)
+            ),
+            new ActionRowBuilder().addComponents(
+                new TextInputBuilder()
+                    .setCustomId('recipient')
+                    .setLabel('Recipient (member name, @mention or ID)')
+                    .setStyle(TextInputStyle.Short)
+                    .setMaxLength(100)
+                    .setRequired(false)
+            )
+        );
+}
+
+// Resolves what was typed as recipient to a member where possible; unknown names are kept as text
+async function resolveLootRecipient(guild, input) {
+    const text = input.trim();
+    if (!text) return { recipientId: null, recipientName: null };
+
+    const idMatch = text.match(/^(?:<@!?)?(\d{17,20})>?$/);
+    let member = idMatch ? await guild.members.fetch(idMatch[1]).catch(() => null) : null;
+    if (!member) {
+        const found = await guild.members.fetch({ query: text.replace(/^@/, ''), limit: 1 }).catch(() => null);
+        member = found?.first() || null;
+    }
+    return member
+        ? { recipientId: member.id, recipientName: member.displayName }
+        : { recipientId: null, recipientName: text };
+}
+
+function recordLoot(boss, drop) {
+    boss.loot.push({ ...drop, recordedAt: Date.now() });
+    boss.loot = boss.loot.slice(-LOOT_MAX_ENTRIES_PER_BOSS);
+}
+
+function formatLootRecipient(drop) {
+    if (drop.recipientId) return `<@${drop.recipientId}>`;
+    return drop.recipientName || 'unassigned';
+}
+
+// Drop rate of every item over the recorded kills of a boss, most frequent first
+function getDropRates(boss) {
+    const kills = new Set([
+        ...boss.history.filter(entry => entry.type === 'kill').map(entry => entry.timestamp),
+        ...boss.loot.map(drop => drop.killTimestamp),
+    ]);
+
+    const items = new Map();
+    boss.loot.forEach(drop => {
+        const key = drop.item.toLowerCase();
+        if (!items.has(key)) items.set(key, { item: drop.item, drops: 0, kills: new Set() });
+        const stats = items.get(key);
+        stats.drops++;
+        stats.kills.add(drop.killTimestamp);
+    });
+
+    return {
+        totalKills: kills.size,
+        items: [...items.values()]
+            .map(stats => ({ item: stats.item, drops: stats.drops, rate: kills.size > 0 ? stats.kills.size / kills.size : 0 }))
+            .sort((a, b) => b.rate - a.rate || b.drops - a.drops),
+    };
+}
+
+defineCommand({
+    name: 'loot',
+    description: 'Shows recorded loot, filtered by boss, member and period.',
+    usage: 'loot ["<boss_name>"] [@member] [week|month|all]',
+    help: `Lists recorded loot drops, newest first. Filter by boss, by the member who received the item, and by period (${Object.keys(REPORT_PERIODS).map(key => `\`${key}\``).join(', ')}), in any combination. Drops are recorded with the **Record Loot** button on kill messages.`,
+    permission: 'viewer',
+    options: [
+        { name: 'boss', type: 'string', description: 'Only loot from this boss', autocomplete: true },
+        { name: 'member', type: 'user', description: 'Only loot given to this member' },
+        { name: 'period', type: 'string', description: 'Time period (defaults to all)', choices: Object.keys(REPORT_PERIODS) },
+    ],
+    // Prefix arguments may come in any order: a mention is the member, a period keyword the period
+    parseArgs(args) {
+        const options = { boss: null, member: null, period: null };
+        const bossWords = [];
+        args.forEach(arg => {
+            const mention = arg.match(/^<@!?(\d+)>$/);
+            if (mention) options.member = mention[1];
+            else if (Object.hasOwn(REPORT_PERIODS, arg.toLowerCase())) options.period = arg.toLowerCase();
+            else bossWords.push(arg);
+        });
+        if (bossWords.length > 0) options.boss = bossWords.join(' ');
+        return options;
+    },
+    async execute(ctx, options) {
+        const guildBosses = getGuildBosses(ctx.guildId);
+        let bosses = [...guildBosses.values()];
+        if (options.boss) {
+            const boss = guildBosses.get(findBossKey(ctx.guildId, options.boss));
+            if (!boss) {
+                return ctx.reply(formatBossNotFound(ctx.guildId, options.boss));
+            }
+            bosses = [boss];
+        }
+
+        const period = (options.period || 'all').toLowerCase();
+        if (!Object.hasOwn(REPORT_PERIODS, period)) {
+            return ctx.reply(`Unknown period "${options.period}". Use ${Object.keys(REPORT_PERIODS).map(key => `\`${key}\``).join(', ')}.`);
+        }
+        const since = REPORT_PERIODS[period] ? Date.now() - REPORT_PERIODS[period] * 24 * 60 * 60 * 1000 : 0;
+
+        const drops = bosses
+            .flatMap(boss => boss.loot.map(drop => ({ ...drop, bossName: formatBossName(boss) })))
+            .filter(drop => drop.killTimestamp >= since && (!options.member || drop.recipientId === options.member))
+            .sort((a, b) => b.killTimestamp - a.killTimestamp);
+
+        const filters = [
+            options.boss ? formatBossName(bosses[0]) : 'all bosses',
+            options.member ? 'one member' : null,
+            period === 'all' ? 'all time' : `last ${period}`,
+        ].filter(Boolean).join(' • ');
+
+        const lootEmbed = new EmbedBuilder()
+            .setColor(0x9370DB) // MediumPurple
+            .setTitle('💎 Loot History')
+            .setDescription(drops.length > 0
+                ? drops.slice(0, LOOT_PAGE_SIZE)
+                    .map(drop => `<t:${Math.floor(drop.killTimestamp / 1000)}:d> **${drop.item}**${drop.rarity ? ` (${drop.rarity})` : ''} → ${formatLootRecipient(drop)}${options.boss ? '' : ` — ${drop.bossName}`}`)
+                    .join('\n')
+                    .substring(0, 4096)
+                : 'No loot recorded for these filters.')
+            .setFooter({ text: `${filters} • ${Math.min(drops.length, LOOT_PAGE_SIZE)} of ${drops.length} drops` });
+        await ctx.reply({ embeds: [lootEmbed], allowedMentions: { parse: [] } });
+    }
+});
+
+defineCommand({
+    name: 'droprates',
+    description: 'Shows how often each item dropped from a boss.',
+    usage: 'droprates "<boss_name>"',
+    help: 'Shows every item recorded for a boss with the number of drops and the share of recorded kills it dropped in.',
+    permission: 'viewer',
+    options: [
+        { ...BOSS_OPTION, rest: true },
+    ],
+    async execute(ctx, options) {
+        const boss = getGuildBosses(ctx.guildId).get(findBossKey(ctx.guildId, options.boss));
+        if (!boss) {
+            return ctx.reply(formatBossNotFound(ctx.guildId, options.boss));
+        }
+
+        const { totalKills, items } = getDropRates(boss);
+        const ratesEmbed = new EmbedBuilder()
+            .setColor(0x9370DB) // MediumPurple
+            .setTitle(`📊 ${formatBossName(boss)} - Drop Rates`)
+            .setDescription(items.length > 0
+                ? items.map(stats => `**${stats.item}** — ${(stats.rate * 100).toFixed(1)}% (${stats.drops} drop${stats.drops === 1 ? '' : 's'})`).join('\n').substring(0, 4096)
+                : 'No loot recorded for this boss yet.')
+            .setFooter({ text: `Based on ${totalKills} recorded kill${totalKills === 1 ? '' : 's'}` });
+        await ctx.reply({ embeds: [ratesEmbed] });
+    }
+});
+
+// Removes the buttons of a spawn message that is answered or replaced outside the message itself
+// (a kill reported with `killed`, an API report, a server up), so a late click can't move the new timer
+async function closeSpawnMessage(guildId, bossKey, boss) {
+    client.scheduler.cancel(bossJobId(guildId, bossKey, 'automiss'));
+    const messageId = boss.messageIdToTrack;
+    if (!messageId) return;
+    boss.messageIdToTrack = null;
+    const notifyChannel = await client.channels.fetch(getBossNotificationChannelId(guildId, boss)).catch(() => null);
+    const trackedMessage = notifyChannel && await notifyChannel.messages.fetch(messageId).catch(() => null);
+    if (trackedMessage && trackedMessage.components.length > 0) {
+        await trackedMessage.edit({ components: [] }).catch(console.error);
+    }
+}
+
+// --- Maintenance ---
+// While the game server is down for maintenance no spawn notifications go out. When it is back up
+// (`maintenance end`, a planned server-up time or `restart`), the next spawn of every boss is
+// recomputed from the server-up time with its post-maintenance rule (`config restart_rule`):
+// "respawn" uses the boss's normal respawn time, a number of hours or a range ("0", "2-4") is
+// counted from server up instead. Fixed-schedule bosses just continue with their schedule.
+
+const MAX_RESTART_RULE_HOURS = 7 * 24;
+
+// "respawn", or hours after server up as "N" or "MIN-MAX"; null if invalid
+function parseRestartRule(value) {
+    const text = value.trim().toLowerCase();
+    if (text === 'respawn') return text;
+
+    const match = text.match(/^(\d+(?:\.\d+)?)(?:\s*-\s*(\d+(?:\.\d+)?))?$/);
+    if (!match) return null;
+    const minHours = parseFloat(match[1]);
+    const maxHours = match[2] === undefined ? minHours : parseFloat(match[2]);
+    if (maxHours < minHours || maxHours > MAX_RESTART_RULE_HOURS) return null;
+    return maxHours > minHours ? `${minHours}-${maxHours}` : `${minHours}`;
+}
+
+function getMaintenance(guildId) {
+    return client.guildSettings.get(guildId)?.maintenance || null;
+}
+
+function isUnderMaintenance(guildId) {
+    return !!getMaintenance(guildId);
+}
+
+function maintenanceJobId(guildId) {
+    return `maintenance_${guildId}`;
+}
+
+// Sets the next spawn of a boss from the time the server came back up
+function applyRestartRule(guildId, boss, serverUpAt) {
+    const HOUR_IN_MS = 60 * 60 * 1000;
+
+    if (isScheduledBoss(boss)) {
+        boss.isWindow = false;
+        boss.nextSpawnEstimateMin = getNextScheduledSpawn(boss, Math.max(serverUpAt, Date.now()));
+        boss.nextSpawnEstimateMax = null;
+        return;
+    }
+
+    const rule = getBossSetting(guildId, boss, 'restartRule');
+    const [minHours, maxHours] = rule === 'respawn'
+        ? [boss.minRespawnHours, boss.maxRespawnHours]
+        : rule.split('-').map(parseFloat);
+    boss.isWindow = !!maxHours && maxHours > minHours;
+    boss.nextSpawnEstimateMin = serverUpAt + minHours * HOUR_IN_MS;
+    boss.nextSpawnEstimateMax = boss.isWindow ? serverUpAt + maxHours * HOUR_IN_MS : null;
+}
+
+// Pauses the guild's notifications until the server is up (at `serverUpAt`, if known)
+function startMaintenance(guildId, { serverUpAt = null, actorId = null, channelId = null } = {}) {
+    getGuildSettings(guildId).maintenance = { startedAt: Date.now(), startedBy: actorId, serverUpAt, channelId };
+    saveGuildSettings();
+    client.bossData.get(guildId)?.forEach((boss, bossKey) => clearBossTimers(guildId, bossKey));
+    scheduleServerUp(guildId);
+}
+
+function endMaintenance(guildId) {
+    client.scheduler.cancel(maintenanceJobId(guildId));
+    const settings = client.guildSettings.get(guildId);
+    if (!settings?.maintenance) return;
+    delete settings.maintenance;
+    saveGuildSettings();
+}
+
+// Arms the job that ends the maintenance at its planned server-up time (right away if that passed)
+function scheduleServerUp(guildId) {
+    const maintenance = getMaintenance(guildId);
+    client.scheduler.cancel(maintenanceJobId(guildId));
+    if (!maintenance?.serverUpAt) return;
+
+    client.scheduler.schedule(maintenanceJobId(guildId), maintenance.serverUpAt, async () => {
+        const current = getMaintenance(guildId);
+        if (!current?.serverUpAt) return;
+        const summaryEmbed = await applyServerUp(guildId, current.serverUpAt);
+        if (summaryEmbed) await sendAdminReport(guildId, current.channelId, summaryEmbed);
+    }, { type: 'maintenance', data: { guildId } });
+}
+
+function restoreMaintenance() {
+    client.guildSettings.forEach((settings, guildId) => {
+        if (settings.maintenance) scheduleServerUp(guildId);
+    });
+}
+
+// Recomputes the timers of the guild's bosses, or only of those with a tag, from the server-up
+// time and returns the summary embed (null without bosses). A full server up ends the maintenance.
+async function applyServerUp(guildId, serverUpAt, { tag = null, actorId = null } = {}) {
+    if (!tag) endMaintenance(guildId);
+    const guildBosses = getTaggedBosses(guildId, tag);
+    if (guildBosses.size === 0) return null;
+
+    const now = Date.now();
+    const upNow = [];
+    const upcoming = [];
+    for (const [bossKey, boss] of guildBosses) {
+        const before = captureBossState(boss);
+        await closeSpawnMessage(guildId, bossKey, boss);
+        clearBossTimers(guildId, bossKey);
+        applyRestartRule(guildId, boss, serverUpAt);
+        logAudit(guildId, actorId, 'maintenance', { bossKey, bossName: formatBossName(boss), summary: `Server up <t:${Math.floor(serverUpAt / 1000)}:f>`, before });
+
+        if (boss.nextSpawnEstimateMin > now) {
+            scheduleBossNotifications(guildId, bossKey);
+            upcoming.push(boss);
+        } else {
+            // Already up: a spawn message to report on (and auto-miss), without a ping of its own
+            await triggerSpawnNotification(guildId, bossKey, { silent: true });
+            upNow.push(boss);
+        }
+    }
+    saveBossData();
+    console.log(`Server up in guild ${guildId}: recomputed ${guildBosses.size} boss timer(s)${tag ? ` tagged ${tag}` : ''}.`);
+
+    const formatLine = boss => {
+        let line = `**${formatBossName(boss)}**: <t:${Math.floor(boss.nextSpawnEstimateMin / 1000)}:f>`;
+        if (boss.nextSpawnEstimateMax) line += ` – <t:${Math.floor(boss.nextSpawnEstimateMax / 1000)}:t>`;
+        return line;
+    };
+    const sections = [`Server up <t:${Math.floor(serverUpAt / 1000)}:f>. Next spawns are counted from then with each boss's post-maintenance rule (\`config restart_rule\`).`];
+    if (upNow.length > 0) {
+        sections.push(`**Up now** (report on their spawn messages):\n${upNow.map(formatLine).join('\n')}`);
+    }
+    if (upcoming.length > 0) {
+        upcoming.sort((a, b) => a.nextSpawnEstimateMin - b.nextSpawnEstimateMin);
+        sections.push(`**Upcoming:**\n${upcoming.map(formatLine).join('\n')}`);
+    }
+
+    return new EmbedBuilder()
+        .setColor(0x32CD32) // LimeGreen
+        .setTitle(`🛠️ Server Up${tag ? ` - \`${tag}\`` : ''}`)
+        .setDescription(sections.join('\n\n').substring(0, 4096))
+        .setFooter({ text: `${guildBosses.size} boss timer(s) recomputed` })
+        .setTimestamp();
+}
+
+defineCommand({
+    name: 'maintenance',
+    description: 'Pauses spawn notifications during a server maintenance.',
+    usage: 'maintenance <start|end|status> [server_up_time]',
+    help: '`start` pauses all spawn notifications while the game server is down; with the time the server comes back up ("14:30", "in 2h" or "YYYY-MM-DD HH:MM") the maintenance ends by itself. `end` ends it now, or at the given server-up time. When the server is up, the next spawn of every boss is recomputed from the server-up time with its post-maintenance rule (`config restart_rule`: `respawn` for the normal respawn time, or hours such as `0` or `2-4`) and one summary is posted. `status` shows the maintenance in progress. **(Admin only)**',
+    permission: 'admin',
+    options: [
+        { name: 'action', type: 'string', description: 'Start, end or show the maintenance', required: true, choices: ['start', 'end', 'status'] },
+        { name: 'server_up_time', type: 'string', description: 'When the server is back up: "14:30", "in 2h" or "YYYY-MM-DD HH:MM"', rest: true },
+    ],
+    async execute(ctx, options) {
+        const action = options.action.toLowerCase();
+        const maintenance = getMaintenance(ctx.guildId);
+        if (!['start', 'end', 'status'].includes(action)) {
+            return ctx.reply(`Usage: ${ctx.prefix}maintenance <start|end|status> [server_up_time]`);
+        }
+
+        if (action === 'status') {
+            if (!maintenance) return ctx.reply('No maintenance in progress.');
+            const serverUpText = maintenance.serverUpAt
+                ? `Server up expected <t:${Math.floor(maintenance.serverUpAt / 1000)}:f> (<t:${Math.floor(maintenance.serverUpAt / 1000)}:R>); the timers are recomputed then.`
+                : 'No server-up time set. Use `maintenance end` when the server is back up.';
+            return ctx.reply({
+                content: `🛠️ Maintenance since <t:${Math.floor(maintenance.startedAt / 1000)}:f>${maintenance.startedBy ? ` (started by <@${maintenance.startedBy}>)` : ''}. ${serverUpText}`,
+                allowedMentions: { parse: [] },
+            });
+        }
+
+        let serverUpAt = null;
+        if (options.server_up_time) {
+            serverUpAt = parseServerUpTime(options.server_up_time, getGuildTimeZone(ctx.guildId));
+            if (serverUpAt === null) {
+                return ctx.reply(`Invalid time "${options.server_up_time}". Use "HH:MM", "in 2h" or "YYYY-MM-DD HH:MM".`);
+            }
+        }
+        const isPlanned = serverUpAt !== null && serverUpAt > Date.now();
+
+        if (action === 'start') {
+            if (maintenance) {
+                return ctx.reply('A maintenance is already in progress. Use `maintenance end` to end it or set the server-up time.');
+            }
+            if (serverUpAt !== null && !isPlanned) {
+                return ctx.reply('That server-up time has already passed. Use `maintenance end` with the time instead.');
+            }
+            startMaintenance(ctx.guildId, { serverUpAt, actorId: ctx.user.id, channelId: ctx.channel.id });
+            return ctx.reply(`🛠️ Maintenance started. Spawn notifications are paused for all ${getGuildBosses(ctx.guildId).size} bosses. ${isPlanned
+                ? `The timers will be recomputed when the server is up <t:${Math.floor(serverUpAt / 1000)}:f> (<t:${Math.floor(serverUpAt / 1000)}:R>).`
+                : 'Use `maintenance end` when the server is back up.'}`);
+        }
+
+        // A server-up time still ahead only plans the end of the maintenance
+        if (isPlanned) {
+            if (maintenance) {
+                maintenance.serverUpAt = serverUpAt;
+                saveGuildSettings();
+                scheduleServerUp(ctx.guildId);
+            } else {
+                startMaintenance(ctx.guildId, { serverUpAt, actorId: ctx.user.id, channelId: ctx.channel.id });
+            }
+            return ctx.reply(`🛠️ Server up set to <t:${Math.floor(serverUpAt / 1000)}:f> (<t:${Math.floor(serverUpAt / 1000)}:R>). Spawn notifications are paused until then.`);
+        }
+
+        // Closing the old spawn messages can take longer than an interaction may wait for its reply
+        await ctx.interaction?.deferReply();
+        const summaryEmbed = await applyServerUp(ctx.guildId, serverUpAt ?? Date.now(), { actorId: ctx.user.id });
+        if (!summaryEmbed) {
+            return ctx.reply(maintenance ? 'Maintenance ended. There are no bosses to recompute.' : 'No bosses found to recompute.');
+        }
+        await ctx.reply({ embeds: [summaryEmbed] });
+    }
+});
+
+// --- Boss catalog ---
+// boss_catalog.json ships with the bot and lists the known field bosses with their region,
+// location, level and respawn times. It is read once at startup; entries that are incomplete are
+// skipped with a warning so a bad edit of the file can't break `addpreset`.
+
+function loadBossCatalog() {
+    let catalog;
+    try {
+        catalog = JSON.parse(fs.readFileSync(BOSS_CATALOG_FILE_PATH, 'utf8'));
+    } catch (error) {
+        console.error(`Boss catalog: could not read ${BOSS_CATALOG_FILE_PATH}:`, error.message);
+        return [];
+    }
+
+    const bosses = [];
+    (Array.isArray(catalog.bosses) ? catalog.bosses : []).forEach((entry, index) => {
+        const isValid = entry && typeof entry.name === 'string' && entry.name.trim() !== ''
+            && typeof entry.region === 'string' && entry.region.trim() !== ''
+            && typeof entry.minRespawnHours === 'number' && entry.minRespawnHours > 0
+            && (entry.maxRespawnHours === null || entry.maxRespawnHours === undefined
+                || (typeof entry.maxRespawnHours === 'number' && entry.maxRespawnHours >= entry.minRespawnHours));
+        if (!isValid) {
+            console.warn(`Boss catalog: entry ${index + 1} (${entry?.name ?? 'unnamed'}) is incomplete and was skipped.`);
+            return;
+        }
+        bosses.push({
+            name: entry.name.trim(),
+            region: entry.region.trim(),
+            location: entry.location || 'Unknown',
+            level: typeof entry.level === 'number' ? entry.level : null,
+            minRespawnHours: entry.minRespawnHours,
+            maxRespawnHours: entry.maxRespawnHours ?? null,
+        });
+    });
+    return bosses;
+}
+
+const BOSS_CATALOG = loadBossCatalog();
+
+// Regions in catalog order
+function getCatalogRegions() {
+    return [...new Set(BOSS_CATALOG.map(entry => entry.region))];
+}
+
+function findCatalogRegion(name) {
+    return getCatalogRegions().find(region => region.toLowerCase() === name.trim().toLowerCase()) || null;
+}
+
+defineCommand({
+    name: 'catalog',
+    description: 'Browses the bundled list of known bosses by region.',
+    usage: 'catalog [region]',
+    help: 'Without a region, lists the regions of the boss catalog. With a region, lists its bosses with level, location and respawn time; bosses this server already tracks are marked with ✅. Add them with `addpreset`.',
+    permission: 'admin',
+    options: [
+        { name: 'region', type: 'string', description: 'Region to list', rest: true },
+    ],
+    async execute(ctx, options) {
+        const guildBosses = getGuildBosses(ctx.guildId);
+        const catalogEmbed = new EmbedBuilder().setColor(0x4682B4); // SteelBlue
+
+        if (!options.region) {
+            catalogEmbed
+                .setTitle('📖 Boss Catalog')
+                .setDescription(getCatalogRegions().map(region => {
+                    const entries = BOSS_CATALOG.filter(entry => entry.region === region);
+                    const tracked = entries.filter(entry => getBossInstanceKeys(ctx.guildId, entry.name).length > 0).length;
+                    return `**${region}** — ${entries.length} bosses (${tracked} tracked)`;
+                }).join('\n') || 'The boss catalog is empty.')
+                .setFooter({ text: `Use ${ctx.prefix}catalog <region> to see the bosses of a region` });
+            return ctx.reply({ embeds: [catalogEmbed] });
+        }
+
+        const region = findCatalogRegion(options.region);
+        if (!region) {
+            return ctx.reply(`Unknown region "${options.region}". Regions: ${getCatalogRegions().join(', ')}.`);
+        }
+        catalogEmbed
+            .setTitle(`📖 Boss Catalog - ${region}`)
+            .setDescription(BOSS_CATALOG
+                .filter(entry => entry.region === region)
+                .map(entry => `${getBossInstanceKeys(ctx.guildId, entry.name).length > 0 ? '✅' : '▫️'} **${entry.name}**${entry.level ? ` (Lv. ${entry.level})` : ''} — ${entry.location}, ${formatRespawn(entry)}`)
+                .join('\n')
+                .substring(0, 4096))
+            .setFooter({ text: `Use ${ctx.prefix}addpreset "<boss>" or ${ctx.prefix}addpreset ${region} to track them` });
+        await ctx.reply({ embeds: [catalogEmbed] });
+    }
+});
+
+defineCommand({
+    name: 'addpreset',
+    description: 'Adds bosses from the catalog: one boss, a whole region or everything.',
+    usage: 'addpreset <"<boss>"|<region>|all> [notification_channel_id]',
+    help: 'Adds a boss from the boss catalog with its location and respawn time, every boss of a region (e.g. `addpreset Giran`) or the whole catalog (`addpreset all`). Bosses are added on the default game server, if one is set. Bosses that are already tracked are left unchanged. Notifications go to the given channel, or this channel.',
+    permission: 'admin',
+    options: [
+        { name: 'target', type: 'string', description: 'Boss name, region name or "all"', required: true },
+        { name: 'channel', type: 'channel', description: 'Channel for notifications (defaults to this channel)' },
+    ],
+    async execute(ctx, options) {
+        const target = options.target.trim();
+        const region = findCatalogRegion(target);
+        let entries;
+        if (target.toLowerCase() === 'all') {
+            entries = BOSS_CATALOG;
+        } else if (region) {
+            entries = BOSS_CATALOG.filter(entry => entry.region === region);
+        } else {
+            entries = BOSS_CATALOG.filter(entry => toBossKey(entry.name) === toBossKey(target));
+        }
+        if (entries.length === 0) {
+            return ctx.reply(`"${target}" is neither a boss nor a region of the catalog. Use \`${ctx.prefix}catalog\` to browse it.`);
+        }
+
+        const guildBosses = getGuildBosses(ctx.guildId);
+        const server = getGuildSetting(ctx.guildId, 'defaultServer');
+        const newEntries = entries.filter(entry => !guildBosses.has(toBossKey(entry.name, server)));
+        if (newEntries.length === 0) {
+            return ctx.reply(entries.length === 1 ? `**${formatBossName({ name: entries[0].name, server })}** is already tracked.` : 'All of these bosses are already tracked.');
+        }
+
+        const notificationChannelId = await resolveNotificationChannelId(ctx, options.channel);
+        newEntries.forEach(entry => {
+            const bossKey = toBossKey(entry.name, server);
+            guildBosses.set(bossKey, createBossRecord({
+                type: 'respawn',
+                name: entry.name,
+                server: server,
+                location: entry.location,
+                minRespawnHours: entry.minRespawnHours,
+                maxRespawnHours: entry.maxRespawnHours,
+                notificationChannelId: notificationChannelId,
+                originalChannelId: ctx.channel.id,
+            }));
+            logAudit(ctx.guildId, ctx.user.id, 'add_boss', { bossKey, bossName: formatBossName({ name: entry.name, server }), summary: `From the catalog, respawn ${formatRespawn(entry)}` });
+        });
+        saveBossData();
+
+        const skipped = entries.length - newEntries.length;
+        const addedList = newEntries.map(entry => `**${formatBossName({ name: entry.name, server })}** (${entry.location}, ${formatRespawn(entry)})`).join(', ');
+        await ctx.reply(`Added ${newEntries.length} boss${newEntries.length === 1 ? '' : 'es'}${skipped > 0 ? ` (${skipped} already tracked)` : ''}: ${addedList}`.substring(0, 1900)
+            + `\nNotifications in channel <#${notificationChannelId}>.`);
+    }
+});
+
+// --- Dashboard ---
+// One pinned message per guild that is edited in place. Refresh requests are coalesced so a
+// guild's dashboard is never edited more often than DASHBOARD_MIN_EDIT_INTERVAL_MS.
+
+const DASHBOARD_STATES = {
+    up: { icon: '🔥', label: 'up now' },
+    known: { icon: '🟢', label: 'known' },
+    window: { icon: '🟡', label: 'window' },
+    due: { icon: '🟠', label: 'due, not reported' },
+    unknown: { icon: '⚪', label: 'unknown' },
+};
+
+function getDashboardState(boss, now) {
+    if (boss.messageIdToTrack) return 'up';
+    if (!boss.nextSpawnEstimateMin) return 'unknown';
+    if (boss.nextSpawnEstimateMin <= now && !(boss.nextSpawnEstimateMax > now)) return 'due';
+    return boss.isWindow || boss.nextSpawnEstimateMax ? 'window' : 'known';
+}
+
+function createDashboardEmbeds(guildId) {
+    const now = Date.now();
+    const bosses = [...(client.bossData.get(guildId)?.values() || [])]
+        .sort((a, b) => (a.nextSpawnEstimateMin || Infinity) - (b.nextSpawnEstimateMin || Infinity));
+
+    const lines = bosses.map(boss => {
+        const state = getDashboardState(boss, now);
+        let when = 'unknown';
+        if (boss.nextSpawnEstimateMin) {
+            when = `<t:${Math.floor(boss.nextSpawnEstimateMin / 1000)}:t> (<t:${Math.floor(boss.nextSpawnEstimateMin / 1000)}:R>)`;
+            if (boss.nextSpawnEstimateMax) when += ` – <t:${Math.floor(boss.nextSpawnEstimateMax / 1000)}:t>`;
+        }
+        return `${DASHBOARD_STATES[state].icon} **${formatBossName(boss)}** · ${boss.location} · ${when}`;
+    });
+
+    // Split into embeds that stay under the description limit
+    const descriptions = [];
+    let current = '';
+    for (const line of lines) {
+        if (current.length + line.length + 1 > 4000) {
+            descriptions.push(current);
+            current = '';
+        }
+        current += (current ? '\n' : '') + line;
+    }
+    descriptions.push(current || 'No bosses are being tracked on this server.');
+
+    const legend = Object.values(DASHBOARD_STATES).map(state => `${state.icon} ${state.label}`).join(' • ');
+    return descriptions.slice(0, 10).map((description, index) => {
+        const embed = new EmbedBuilder()
+            .setColor(0x2F3136)
+            .setDescription(description);
+        if (index === 0) embed.setTitle('📋 Boss Dashboard');
+        if (index === Math.min(descriptions.length, 10) - 1) embed.setFooter({ text: `${legend} • Updated` }).setTimestamp();
+        return embed;
+    });
+}
+
+function refreshDashboard(guildId) {
+    if (!client.guildSettings.get(guildId)?.dashboard) return;
+
+    const jobId = `${guildId}_dashboard`;
+    if (client.scheduler.has(jobId)) return; // An edit is already queued and will pick up this change
+
+    let update = client.dashboardUpdates.get(guildId);
+    if (!update) {
+        update = { lastEditAt: 0 };
+        client.dashboardUpdates.set(guildId, update);
+    }
+
+    client.scheduler.schedule(jobId, update.lastEditAt + DASHBOARD_MIN_EDIT_INTERVAL_MS, async () => {
+        update.lastEditAt = Date.now();
+        await editDashboard(guildId);
+    }, { type: 'dashboard', data: { guildId } });
+}
+
+function refreshAllDashboards() {
+    client.guildSettings.forEach((settings, guildId) => refreshDashboard(guildId));
+}
+
+// Keeps dashboard states and ordering current even when nothing changes
+function schedulePeriodicDashboardRefresh() {
+    client.scheduler.schedule('dashboard_refresh', Date.now() + DASHBOARD_REFRESH_INTERVAL_MS, () => {
+        refreshAllDashboards();
+        schedulePeriodicDashboardRefresh();
+    }, { type: 'dashboard_refresh' });
+}
+
+async function editDashboard(guildId) {
+    const settings = client.guildSettings.get(guildId);
+    const dashboard = settings?.dashboard;
+    if (!dashboard) return;
+
+    try {
+        const channel = await client.channels.fetch(dashboard.channelId);
+        const message = await channel.messages.fetch(dashboard.messageId);
+        await message.edit({ content: '', embeds: createDashboardEmbeds(guildId) });
+    } catch (error) {
+        // Only a deleted message or channel ends the dashboard; anything else (an outage, a rate
+        // limit) is retried on the next update
+        if (error.code === RESTJSONErrorCodes.UnknownChannel || error.code === RESTJSONErrorCodes.UnknownMessage) {
+            console.warn(`Dashboard message for guild ${guildId} not found. Disabling dashboard.`);
+            delete settings.dashboard;
+            saveGuildSettings();
+            return;
+        }
+        console.error(`Error updating dashboard for guild ${guildId}:`, error);
+    }
+}
+
+async function removeDashboardMessage(guildId) {
+    const dashboard = client.guildSettings.get(guildId)?.dashboard;
+    if (!dashboard) return;
+    const channel = await client.channels.fetch(dashboard.channelId).catch(() => null);
+    const message = channel ? await channel.messages.fetch(dashboard.messageId).catch(() => null) : null;
+    if (message) await message.delete().catch(console.error);
+}
+
+defineCommand({
+    name: 'dashboard',
+    description: 'Posts a pinned boss dashboard that updates itself.',
+    usage: 'dashboard [channel_id|off]',
+    help: 'Posts a pinned message listing all bosses by next spawn, which the bot keeps up to date. Posting a new one replaces the old one; `off` removes it. **(Admin only)**',
+    permission: 'admin',
+    options: [
+        { name: 'channel', type: 'channel', description: 'Channel for the dashboard (defaults to this channel)' },
+        { name: 'off', type: 'boolean', description: 'Remove the dashboard' },
+    ],
+    parseArgs(args) {
+        const off = args[0] !== undefined && args[0].toLowerCase() === 'off';
+        return {
+            channel: !off && args[0] ? coercePrefixOption({ type: 'channel' }, args[0]) : null,
+            off: off,
+        };
+    },
+    async execute(ctx, options) {
+        const settings = getGuildSettings(ctx.guildId);
+
+        if (options.off) {
+            if (!settings.dashboard) {
+                return ctx.reply('There is no dashboard on this server.');
+            }
+            await removeDashboardMessage(ctx.guildId);
+            delete settings.dashboard;
+            saveGuildSettings();
+            return ctx.reply('Dashboard removed.');
+        }
+
+        const channel = options.channel ? await client.channels.fetch(options.channel).catch(() => null) : ctx.channel;
+        if (!channel || channel.type !== 0 /* GUILD_TEXT */ || channel.guildId !== ctx.guildId) {
+            return ctx.reply(`Channel with ID ${options.channel} not found or is not a text channel.`);
+        }
+
+        await removeDashboardMessage(ctx.guildId);
+        const dashboardMessage = await channel.send({ embeds: createDashboardEmbeds(ctx.guildId) });
+        await dashboardMessage.pin().catch(error => {
+            console.warn(`Could not pin dashboard in guild ${ctx.guildId}:`, error.message);
+        });
+
+        settings.dashboard = { channelId: channel.id, messageId: dashboardMessage.id };
+        saveGuildSettings();
+        client.dashboardUpdates.set(ctx.guildId, { lastEditAt: Date.now() });
+
+        await ctx.reply({ content: `Dashboard posted in <#${channel.id}>. It will update automatically.`, ephemeral: true });
+    }
+});
+
+// --- Calendar ---
+// `calendar` attaches an .ics file of the upcoming spawns and windows. With the web server on, a
+// guild can also publish a feed (`calendarfeed`) at a secret URL that calendar apps subscribe to.
+// The feed is built on every request, so it always shows the current timers.
+
+const CALENDAR_FEED_TOKEN_BYTES = 24;
+
+// Compares secrets in constant time
+function tokensMatch(expected, given) {
+    if (typeof expected !== 'string' || typeof given !== 'string') return false;
+    const expectedBuffer = Buffer.from(expected);
+    const givenBuffer = Buffer.from(given);
+    return expectedBuffer.length === givenBuffer.length && crypto.timingSafeEqual(expectedBuffer, givenBuffer);
+}
+
+// The boss's next spawn or window while it can still be reported, and for fixed schedules
+// every spawn in the next CALENDAR_DAYS_AHEAD days
+function getBossCalendarEvents(guildId, bossKey, boss, now) {
+    const autoMissMs = getBossSetting(guildId, boss, 'autoMissTimeoutMinutes') * 60 * 1000;
+    const spawns = [];
+    if (boss.nextSpawnEstimateMin && (boss.nextSpawnEstimateMax || boss.nextSpawnEstimateMin) + autoMissMs > now) {
+        spawns.push({ start: boss.nextSpawnEstimateMin, end: boss.nextSpawnEstimateMax });
+    }
+    if (isScheduledBoss(boss)) {
+        const horizon = now + CALENDAR_DAYS_AHEAD * 24 * 60 * 60 * 1000;
+        let spawnTime = getNextScheduledSpawn(boss, Math.max(now, boss.nextSpawnEstimateMin || now));
+        while (spawnTime && spawnTime <= horizon) {
+            spawns.push({ start: spawnTime, end: null });
+            spawnTime = getNextScheduledSpawn(boss, spawnTime);
+        }
+    }
+
+    const description = `Location: ${boss.location}\nRespawn: ${formatRespawn(boss)}`;
+    return spawns.map(spawn => ({
+        uid: `${guildId}-${bossKey}-${spawn.start}@l2m-boss-tracker`,
+        start: spawn.start,
+        end: spawn.end || spawn.start + autoMissMs,
+        summary: spawn.end ? `⏳ ${formatBossName(boss)} (window)` : `🔥 ${formatBossName(boss)}`,
+        description: spawn.end ? `${description}\nSpawns at some point in this window.` : description,
+        location: boss.location,
+        alarmMinutes: getBossSetting(guildId, boss, 'preSpawnNotificationMinutes'),
+    }));
+}
+
+function buildGuildCalendar(guildId) {
+    const now = Date.now();
+    const events = [];
+    client.bossData.get(guildId)?.forEach((boss, bossKey) => events.push(...getBossCalendarEvents(guildId, bossKey, boss, now)));
+    events.sort((a, b) => a.start - b.start);
+
+    const guildName = client.guilds.cache.get(guildId)?.name;
+    return { content: buildCalendar({ name: `L2M Boss Spawns${guildName ? ` - ${guildName}` : ''}`, events, now }), eventCount: events.length };
+}
+
+function getCalendarFeedUrl(guildId) {
+    const token = client.guildSettings.get(guildId)?.calendarFeedToken;
+    return client.webServer && token ? `${HTTP_PUBLIC_URL}/calendar/${guildId}/${token}.ics` : null;
+}
+
+client.webServer?.route('GET', '/calendar/:guildId/:token.ics', ({ params }) => {
+    if (!tokensMatch(client.guildSettings.get(params.guildId)?.calendarFeedToken, params.token)) {
+        return { status: 404, body: 'Not found' };
+    }
+    return {
+        headers: { 'Content-Type': 'text/calendar; charset=utf-8' },
+        body: buildGuildCalendar(params.guildId).content,
+    };
+});
+
+defineCommand({
+    name: 'calendar',
+    description: 'Sends the upcoming boss spawns as a calendar file.',
+    usage: 'calendar',
+    help: `Attaches an .ics file with the upcoming spawns and windows (fixed schedules ${CALENDAR_DAYS_AHEAD} days ahead) that can be imported into any calendar app. Each spawn has a reminder at the pre-spawn notice time. The file does not change when timers do; subscribe to the calendar feed (\`calendarfeed\`) for that.`,
+    permission: 'viewer',
+    async execute(ctx) {
+        const calendar = buildGuildCalendar(ctx.guildId);
+        if (calendar.eventCount === 0) {
+            return ctx.reply('There are no upcoming boss spawns scheduled.');
+        }
+
+        const feedUrl = getCalendarFeedUrl(ctx.guildId);
+        const attachment = new AttachmentBuilder(Buffer.from(calendar.content, 'utf8'), { name: `boss-spawns-${ctx.guildId}.ics` });
+        await ctx.reply({
+            content: `📅 ${calendar.eventCount} upcoming spawn(s).${feedUrl ? ` To keep your calendar up to date, subscribe to ${feedUrl}` : ''}`,
+            files: [attachment],
+        });
+    }
+});
+
+defineCommand({
+    name: 'calendarfeed',
+    description: 'Shows, renews or turns off the calendar feed of this server.',
+    usage: 'calendarfeed [reset|off]',
+    help: 'Shows the secret link of the calendar feed with the upcoming spawns, turning the feed on if needed. Calendar apps that subscribe to it see timer changes as they happen. `reset` makes a new link (the old one stops working), `off` turns the feed off. Needs the built-in web server (`HTTP_PORT`). **(Admin only)**',
+    permission: 'admin',
+    options: [
+        { name: 'action', type: 'string', description: 'Make a new link or turn the feed off', choices: ['reset', 'off'] },
+    ],
+    async execute(ctx, options) {
+        const action = options.action?.toLowerCase() || null;
+        if (action && !['reset', 'off'].includes(action)) {
+            return ctx.reply(`Usage: ${ctx.prefix}calendarfeed [reset|off]`);
+        }
+        if (!client.webServer) {
+            return ctx.reply('The calendar feed needs the built-in web server. Set `HTTP_PORT` (and `HTTP_PUBLIC_URL`) in the bot\'s environment.');
+        }
+
+        const settings = getGuildSettings(ctx.guildId);
+        if (action === 'off') {
+            if (!settings.calendarFeedToken) return ctx.reply('The calendar feed is already off.');
+            delete settings.calendarFeedToken;
+            saveGuildSettings();
+            return ctx.reply('📅 Calendar feed turned off. Its link no longer works.');
+        }
+
+        const isNew = !settings.calendarFeedToken || action === 'reset';
+        if (isNew) {
+            settings.calendarFeedToken = crypto.randomBytes(CALENDAR_FEED_TOKEN_BYTES).toString('hex');
+            saveGuildSettings();
+        }
+        await ctx.reply(`📅 ${isNew ? (action === 'reset' ? 'New calendar feed link' : 'Calendar feed turned on') : 'Calendar feed'}: ${getCalendarFeedUrl(ctx.guildId)}\nAdd it as a subscribed calendar ("From URL") in your calendar app.${action === 'reset' ? ' The old link no longer works.' : ''}`);
+    }
+});
+
+// --- HTTP API ---
+// With the web server on, a guild can allow external tools (a clan website, a stream overlay) to
+// read and report its timers. Requests to /api/guilds/<guild_id>/... need the guild's token from
+// `apitoken` as "Authorization: Bearer <token>"; only a hash of the token is stored. Reports go
+// through the same code as the Discord commands and buttons, so they post the same messages.
+//
+//   GET  /api/guilds/:guildId/bosses                      every boss with its timer
+//   GET  /api/guilds/:guildId/spawns?limit=N              upcoming spawns and open windows, soonest first
+//   GET  /api/guilds/:guildId/bosses/:bossKey/history     kill history, newest first (?limit=N)
+//   POST /api/guilds/:guildId/bosses/:bossKey/kill        { "time"?: ms or "HH:MM"/"25m ago"/ISO, "reportedBy"?: user id }
+//   POST /api/guilds/:guildId/bosses/:bossKey/miss        { "type"?: "miss" | "not_appeared", "reportedBy"?: user id }
+
+const API_TOKEN_BYTES = 32;
+const API_DEFAULT_LIMIT = 25;
+const API_MAX_LIMIT = 200;
+
+function hashApiToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function toIsoTime(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+function apiError(status, message) {
+    return { status, json: { error: message } };
+}
+
+function parseApiLimit(query) {
+    const limit = parseInt(query.get('limit'), 10);
+    return Math.min(Number.isInteger(limit) && limit > 0 ? limit : API_DEFAULT_LIMIT, API_MAX_LIMIT);
+}
+
+function bossToApiJson(bossKey, boss) {
+    return {
+        key: bossKey,
+        name: boss.name,
+        server: boss.server,
+        location: boss.location,
+        tags: boss.tags,
+        respawn: isScheduledBoss(boss)
+            ? { schedule: boss.schedule.expression, timeZone: boss.schedule.timeZone || DEFAULT_TIMEZONE }
+            : { minHours: boss.minRespawnHours, maxHours: boss.maxRespawnHours },
+        lastKilled: toIsoTime(boss.lastKilled),
+        nextSpawn: boss.nextSpawnEstimateMin
+            ? { earliest: toIsoTime(boss.nextSpawnEstimateMin), latest: toIsoTime(boss.nextSpawnEstimateMax), isWindow: boss.isWindow }
+            : null,
+        awaitingReport: !!boss.messageIdToTrack,
+    };
+}
+
+// Registers an API route that only runs for requests with the guild's token
+function defineApiRoute(method, pattern, handler) {
+    client.webServer?.route(method, `/api/guilds/:guildId${pattern}`, request => {
+        const bearer = (request.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+        const tokenHash = client.guildSettings.get(request.params.guildId)?.apiTokenHash;
+        if (!bearer || !tokensMatch(tokenHash, hashApiToken(bearer[1]))) {
+            return apiError(401, 'Missing or invalid API token');
+        }
+        return handler(request);
+    });
+}
+
+// The boss named by the :bossKey parameter (keys from before a rename still work)
+function findApiBoss({ params }) {
+    const bossKey = resolveBossKey(params.guildId, params.bossKey);
+    const boss = client.bossData.get(params.guildId)?.get(bossKey);
+    return boss ? { bossKey, boss } : null;
+}
+
+function parseApiReporter(body) {
+    if (body?.reportedBy === undefined || body.reportedBy === null) return { reportedBy: null };
+    return /^\d{17,20}$/.test(String(body.reportedBy)) ? { reportedBy: String(body.reportedBy) } : { error: 'reportedBy must be a Discord user id' };
+}
+
+defineApiRoute('GET', '/bosses', ({ params }) => {
+    const guildBosses = client.bossData.get(params.guildId);
+    return { json: { bosses: guildBosses ? guildBosses.map((boss, bossKey) => bossToApiJson(bossKey, boss)) : [] } };
+});
+
+defineApiRoute('GET', '/spawns', ({ params, query }) => {
+    const now = Date.now();
+    const upcoming = [...(client.bossData.get(params.guildId) || new Collection()).entries()]
+        .filter(([, boss]) => boss.nextSpawnEstimateMin && (boss.nextSpawnEstimateMax || boss.nextSpawnEstimateMin) > now)
+        .sort(([, a], [, b]) => a.nextSpawnEstimateMin - b.nextSpawnEstimateMin)
+        .slice(0, parseApiLimit(query));
+    return { json: { spawns: upcoming.map(([bossKey, boss]) => bossToApiJson(bossKey, boss)) } };
+});
+
+defineApiRoute('GET', '/bosses/:bossKey/history', request => {
+    const found = findApiBoss(request);
+    if (!found) return apiError(404, 'Boss not found');
+
+    const entries = [...found.boss.history].reverse().slice(0, parseApiLimit(request.query));
+    return {
+        json: {
+            boss: bossToApiJson(found.bossKey, found.boss),
+            history: entries.map(entry => ({
+                type: entry.type,
+                time: toIsoTime(entry.timestamp),
+                expectedSpawnTime: toIsoTime(entry.expectedSpawnTime),
+                reportedBy: entry.reportedBy,
+            })),
+        },
+    };
+});
+
+defineApiRoute('POST', '/bosses/:bossKey/kill', async request => {
+    const found = findApiBoss(request);
+    if (!found) return apiError(404, 'Boss not found');
+    const { reportedBy, error } = parseApiReporter(request.body);
+    if (error) return apiError(400, error);
+
+    const time = request.body?.time;
+    let killTimestamp = Date.now();
+    if (typeof time === 'number') {
+        killTimestamp = time;
+    } else if (typeof time === 'string') {
+        killTimestamp = parseKillTime(time, getGuildTimeZone(request.params.guildId));
+    } else if (time !== undefined && time !== null) {
+        killTimestamp = null;
+    }
+    if (killTimestamp === null || !Number.isFinite(killTimestamp)) return apiError(400, 'Invalid time');
+    if (killTimestamp > Date.now()) return apiError(400, 'The kill time is in the future');
+
+    const { guildId } = request.params;
+    const notifyChannel = await client.channels.fetch(getBossNotificationChannelId(guildId, found.boss)).catch(() => null);
+    await updateBossAsKilled(guildId, found.bossKey, killTimestamp, notifyChannel, null, reportedBy);
+    return { json: { boss: bossToApiJson(found.bossKey, found.boss) } };
+});
+
+defineApiRoute('POST', '/bosses/:bossKey/miss', async request => {
+    const found = findApiBoss(request);
+    if (!found) return apiError(404, 'Boss not found');
+    const { reportedBy, error } = parseApiReporter(request.body);
+    if (error) return apiError(400, error);
+
+    const type = request.body?.type ?? 'miss';
+    if (!['miss', 'not_appeared'].includes(type)) return apiError(400, 'type must be "miss" or "not_appeared"');
+    if (!found.boss.nextSpawnEstimateMin) {
+        return apiError(409, 'The boss has no expected spawn. Report a kill to start its timer.');
+    }
+
+    const { guildId } = request.params;
+    await closeSpawnMessage(guildId, found.bossKey, found.boss);
+    // Like the auto-miss, the result is posted to the boss's notification channel
+    const pseudoInteraction = {
+        guildId: guildId,
+        channelId: getBossNotificationChannelId(guildId, found.boss),
+        user: reportedBy ? { id: reportedBy } : null,
+        isButton: () => false,
+    };
+    await handleUnconfirmedSpawn(pseudoInteraction, found.bossKey, type === 'miss' ? 'missed' : 'not appeared');
+    return { json: { boss: bossToApiJson(found.bossKey, found.boss) } };
+});
+
+defineCommand({
+    name: 'apitoken',
+    description: 'Creates, renews or revokes the HTTP API token of this server.',
+    usage: 'apitoken [reset|off]',
+    help: 'Turns on the HTTP API for external tools and sends you its token by DM. The token is shown only once; `reset` replaces it (the old one stops working) and `off` turns the API off. Anyone with the token can read the timers and report kills and misses. Needs the built-in web server (`HTTP_PORT`). **(Admin only)**',
+    permission: 'admin',
+    options: [
+        { name: 'action', type: 'string', description: 'Make a new token or turn the API off', choices: ['reset', 'off'] },
+    ],
+    async execute(ctx, options) {
+        const action = options.action?.toLowerCase() || null;
+        if (action && !['reset', 'off'].includes(action)) {
+            return ctx.reply(`Usage: ${ctx.prefix}apitoken [reset|off]`);
+        }
+        if (!client.webServer) {
+            return ctx.reply('The API needs the built-in web server. Set `HTTP_PORT` in the bot\'s environment.');
+        }
+
+        const settings = getGuildSettings(ctx.guildId);
+        if (action === 'off') {
+            if (!settings.apiTokenHash) return ctx.reply('The API is already off.');
+            delete settings.apiTokenHash;
+            saveGuildSettings();
+            return ctx.reply('🔌 API turned off. Its token no longer works.');
+        }
+        if (settings.apiTokenHash && action !== 'reset') {
+            return ctx.reply(`🔌 The API is on. Tokens are only shown once; use \`${ctx.prefix}apitoken reset\` to get a new one.`);
+        }
+
+        const token = crypto.randomBytes(API_TOKEN_BYTES).toString('hex');
+        try {
+            await ctx.user.send(`🔌 API token for **${ctx.guild.name}**:\n\`${token}\`\nSend it as \`Authorization: Bearer <token>\` to ${HTTP_PUBLIC_URL}/api/guilds/${ctx.guildId}/... Keep it secret; it is not shown again.`);
+        } catch (error) {
+            return ctx.reply({ content: 'I could not DM you the token. Allow direct messages from server members and try again.', ephemeral: true });
+        }
+        settings.apiTokenHash = hashApiToken(token);
+        saveGuildSettings();
+        await ctx.reply(`🔌 ${action === 'reset' ? 'New API token created; the old one no longer works' : 'API turned on'}. I sent you the token by DM.`);
+    }
+});
+
+// --- Outbound webhooks ---
+// A guild can forward spawn lifecycle events to other systems. Each webhook gets a JSON payload
+// (see buildWebhookPayload) signed with its own secret, see webhooks.js; Discord webhook URLs get
+// a plain chat message instead, so events can be relayed to another Discord server. Deliveries
+// that still fail after the retries are kept in a dead-letter log (`webhook failed`).
+
+const WEBHOOK_EVENTS = ['pre_spawn', 'spawn', 'kill', 'miss', 'not_appeared', 'auto_timeout'];
+const WEBHOOK_MAX_PER_GUILD = 5;
+const WEBHOOK_DEAD_LETTER_MAX_PER_GUILD = 100;
+const WEBHOOK_SECRET_BYTES = 32;
+
+client.webhookSender = createWebhookSender({
+    scheduler: client.scheduler,
+    onDeadLetter: recordWebhookDeadLetter,
+    userAgent: 'L2M-Boss-Tracker',
+});
+
+function loadWebhookDeadLetters() {
+    try {
+        client.webhookDeadLetters.clear();
+        const loadedDeadLetters = deadLetterStore.load();
+        if (loadedDeadLetters) {
+            for (const guildId in loadedDeadLetters) {
+                client.webhookDeadLetters.set(guildId, loadedDeadLetters[guildId]);
+            }
+            console.log('Webhook dead letters loaded successfully.');
+        }
+    } catch (error) {
+        console.error('Failed to load webhook dead letters:', error);
+    }
+}
+
+function saveWebhookDeadLetters() {
+    deadLetterStore.save(() => Object.fromEntries(client.webhookDeadLetters));
+}
+
+function recordWebhookDeadLetter(delivery) {
+    console.warn(`Webhook ${delivery.webhookId} in guild ${delivery.guildId}: ${delivery.event} delivery ${delivery.id} failed after ${delivery.attempts} attempt(s) (${delivery.lastError}).`);
+    const { secret, ...deadLetter } = delivery; // The secret stays in the guild settings
+    const deadLetters = [...(client.webhookDeadLetters.get(delivery.guildId) || []), deadLetter];
+    client.webhookDeadLetters.set(delivery.guildId, deadLetters.slice(-WEBHOOK_DEAD_LETTER_MAX_PER_GUILD));
+    saveWebhookDeadLetters();
+}
+
+function isDiscordWebhookUrl(url) {
+    return /^https:\/\/(?:\w+\.)?discord(?:app)?\.com\/api\/webhooks\//i.test(url);
+}
+
+// Scheme and host of a webhook URL; the rest often contains a secret
+function maskWebhookUrl(url) {
+    try {
+        return `${new URL(url).origin}/…`;
+    } catch (error) {
+        return 'invalid URL';
+    }
+}
+
+// Event names from a comma or space separated list, "all" for every event; null if one is unknown
+function parseWebhookEvents(value) {
+    if (!value || value.trim().toLowerCase() === 'all') return [...WEBHOOK_EVENTS];
+    const events = [...new Set(value.toLowerCase().split(/[\s,]+/).filter(Boolean))];
+    return events.every(event => WEBHOOK_EVENTS.includes(event)) ? events : null;
+}
+
+function buildWebhookPayload(guildId, event, bossKey, boss, details) {
+    return {
+        event: event,
+        guildId: guildId,
+        occurredAt: new Date().toISOString(),
+        boss: bossToApiJson(bossKey, boss),
+        ...details,
+    };
+}
+
+// One line for Discord webhooks, with the same wording as the bot's own messages
+function formatWebhookMessage(event, boss, details) {
+    const name = `**${formatBossName(boss)}**`;
+    const nextSpawn = boss.nextSpawnEstimateMin ? ` Next spawn <t:${Math.floor(boss.nextSpawnEstimateMin / 1000)}:R>.` : '';
+    switch (event) {
+        case 'pre_spawn':
+            return `🔔 ${name} spawning soon (${boss.location}), <t:${Math.floor(boss.nextSpawnEstimateMin / 1000)}:R>${boss.isWindow ? ' (window)' : ''}.`;
+        case 'spawn':
+            return `${boss.isWindow ? '⏳' : '🔥'} ${name} ${boss.isWindow ? 'window open' : 'spawned'}! (${boss.location})`;
+        case 'kill':
+            return `💀 ${name} killed at <t:${Math.floor(new Date(details.killedAt).getTime() / 1000)}:f>.${nextSpawn}`;
+        case 'test':
+            return `🧪 Test event from the boss tracker for ${name}.`;
+        default:
+            return `${HISTORY_EVENT_LABELS[event] || event}: ${name}.${nextSpawn}`;
+    }
+}
+
+function sendWebhookEvent(guildId, webhook, event, bossKey, boss, details = {}) {
+    const body = isDiscordWebhookUrl(webhook.url)
+        ? { username: 'L2M Boss Tracker', content: formatWebhookMessage(event, boss, details), allowed_mentions: { parse: [] } }
+        : buildWebhookPayload(guildId, event, bossKey, boss, details);
+    return client.webhookSender.send({ guildId, webhookId: webhook.id, url: webhook.url, secret: webhook.secret, event, body: JSON.stringify(body) })
+        .catch(error => console.error(`Webhook ${webhook.id} in guild ${guildId} failed:`, error));
+}
+
+// Sends an event to every webhook of the guild that subscribed to it. Delivery runs in the
+// background, so callers never wait for (or fail because of) a slow endpoint.
+function emitWebhookEvent(guildId, event, bossKey, boss, details = {}) {
+    getGuildSetting(guildId, 'webhooks')
+        .filter(webhook => webhook.events.includes(event))
+        .forEach(webhook => sendWebhookEvent(guildId, webhook, event, bossKey, boss, details));
+}
+
+defineCommand({
+    name: 'webhook',
+    description: 'Manages the outbound webhooks that receive boss events.',
+    usage: 'webhook <add|remove|list|test|failed|retry> [url|id] [events]',
+    help: `Forwards boss events to other systems. \`add <url> [events]\` adds a webhook for the given events (comma separated, default all: ${WEBHOOK_EVENTS.map(event => `\`${event}\``).join(', ')}) and DMs you its signing secret; Discord webhook URLs get chat messages instead of JSON. \`remove <id>\` deletes one, \`list\` shows them, \`test <id>\` sends a test event, \`failed\` shows deliveries that failed after all retries and \`retry\` sends those again. **(Admin only)**`,
+    permission: 'admin',
+    options: [
+        { name: 'action', type: 'string', description: 'What to do', required: true, choices: ['add', 'remove', 'list', 'test', 'failed', 'retry'] },
+        { name: 'target', type: 'string', description: 'Webhook URL (add) or id (remove, test)' },
+        { name: 'events', type: 'string', description: 'Events to send, comma separated (default all)', rest: true },
+    ],
+    async execute(ctx, options) {
+        const action = options.action.toLowerCase();
+        const settings = getGuildSettings(ctx.guildId);
+        const webhooks = getGuildSetting(ctx.guildId, 'webhooks');
+        const findWebhook = () => webhooks.find(webhook => webhook.id === options.target?.toLowerCase());
+
+        switch (action) {
+            case 'add': {
+                if (!options.target || !/^https?:\/\/\S+$/i.test(options.target)) {
+                    return ctx.reply(`Usage: ${ctx.prefix}webhook add <http(s) url> [events]`);
+                }
+                if (webhooks.length >= WEBHOOK_MAX_PER_GUILD) {
+                    return ctx.reply(`This server already has ${WEBHOOK_MAX_PER_GUILD} webhooks. Remove one first.`);
+                }
+                const events = parseWebhookEvents(options.events);
+                if (!events) {
+                    return ctx.reply(`Unknown event in "${options.events}". Events: ${WEBHOOK_EVENTS.map(event => `\`${event}\``).join(', ')}.`);
+                }
+
+                const webhook = {
+                    id: crypto.randomBytes(3).toString('hex'),
+                    url: options.target,
+                    secret: isDiscordWebhookUrl(options.target) ? null : crypto.randomBytes(WEBHOOK_SECRET_BYTES).toString('hex'),
+                    events: events,
+                    createdBy: ctx.user.id,
+                };
+                if (webhook.secret) {
+                    try {
+                        await ctx.user.send(`🪝 Signing secret for webhook \`${webhook.id}\` (${maskWebhookUrl(webhook.url)}) on **${ctx.guild.name}**:\n\`${webhook.secret}\`\nVerify \`X-Webhook-Signature\` as \`sha256=\` + HMAC-SHA256 of \`<X-Webhook-Timestamp>.<body>\` with this secret.`);
+                    } catch (error) {
+                        return ctx.reply({ content: 'I could not DM you the signing secret. Allow direct messages from server members and try again.', ephemeral: true });
+                    }
+                }
+                settings.webhooks = [...webhooks, webhook];
+                saveGuildSettings();
+                return ctx.reply(`🪝 Webhook \`${webhook.id}\` added (${maskWebhookUrl(webhook.url)}) for ${events.map(event => `\`${event}\``).join(', ')}.${webhook.secret ? ' I sent you its signing secret by DM.' : ''}`);
+            }
+            case 'remove': {
+                const webhook = findWebhook();
+                if (!webhook) return ctx.reply(`Webhook "${options.target || ''}" not found. See \`${ctx.prefix}webhook list\`.`);
+                settings.webhooks = webhooks.filter(other => other !== webhook);
+                // Retries already waiting would otherwise still reach the removed URL
+                client.scheduler.cancelWhere(job => job.type === 'webhook' && job.guildId === ctx.guildId && job.webhookId === webhook.id);
+                saveGuildSettings();
+                return ctx.reply(`🪝 Webhook \`${webhook.id}\` removed.`);
+            }
+            case 'list': {
+                if (webhooks.length === 0) return ctx.reply('This server has no webhooks.');
+                const lines = webhooks.map(webhook => `\`${webhook.id}\` ${maskWebhookUrl(webhook.url)}${isDiscordWebhookUrl(webhook.url) ? ' (Discord)' : ''} — ${webhook.events.join(', ')}`);
+                return ctx.reply(`🪝 Webhooks:\n${lines.join('\n')}`);
+            }
+            case 'test': {
+                const webhook = findWebhook();
+                if (!webhook) return ctx.reply(`Webhook "${options.target || ''}" not found. See \`${ctx.prefix}webhook list\`.`);
+                const [bossKey, boss] = [...getGuildBosses(ctx.guildId).entries()][0] || [];
+                if (!boss) return ctx.reply('Add a boss first; the test event describes one of your bosses.');
+                await sendWebhookEvent(ctx.guildId, webhook, 'test', bossKey, boss);
+                return ctx.reply(`🪝 Test event sent to \`${webhook.id}\`. Failed deliveries are retried and then listed in \`${ctx.prefix}webhook failed\`.`);
+            }
+            case 'failed': {
+                const deadLetters = client.webhookDeadLetters.get(ctx.guildId) || [];
+                if (deadLetters.length === 0) return ctx.reply('No failed webhook deliveries.');
+                const lines = deadLetters.slice(-15).reverse()
+                    .map(deadLetter => `<t:${Math.floor(deadLetter.failedAt / 1000)}:f> \`${deadLetter.webhookId}\` ${deadLetter.event} — ${deadLetter.lastError} (${deadLetter.attempts} attempt(s))`);
+                return ctx.reply(`🪝 ${deadLetters.length} failed deliver${deadLetters.length === 1 ? 'y' : 'ies'}${deadLetters.length > 15 ? ', latest 15' : ''}:\n${lines.join('\n')}`);
+            }
+            case 'retry': {
+                const deadLetters = client.webhookDeadLetters.get(ctx.guildId) || [];
+                if (deadLetters.length === 0) return ctx.reply('No failed webhook deliveries to retry.');
+                client.webhookDeadLetters.delete(ctx.guildId);
+                saveWebhookDeadLetters();
+
+                let retried = 0;
+                deadLetters.forEach(({ lastError, failedAt, attempts, ...delivery }) => {
+                    const webhook = webhooks.find(other => other.id === delivery.webhookId);
+                    if (!webhook) return; // Removed since
+                    client.webhookSender.send({ ...delivery, url: webhook.url, secret: webhook.secret })
+                        .catch(error => console.error(`Webhook ${webhook.id} in guild ${ctx.guildId} failed:`, error));
+                    retried++;
+                });
+                return ctx.reply(`🪝 Sending ${retried} failed deliver${retried === 1 ? 'y' : 'ies'} again${retried < deadLetters.length ? ` (${deadLetters.length - retried} belonged to removed webhooks)` : ''}.`);
+            }
+            default:
+                return ctx.reply(`Usage: ${ctx.prefix}webhook <add|remove|list|test|failed|retry> [url|id] [events]`);
+        }
+    }
+});
+
+// --- Import / export ---
+
+// Columns of the CSV export, in order. The JSON export contains the complete boss records.
+const BOSS_CSV_COLUMNS = ['name', 'server', 'type', 'location', 'minRespawnHours', 'maxRespawnHours', 'schedule', 'timeZone', 'notificationChannelId', 'pingRoleId', 'lastKilled', 'nextSpawnEstimateMin', 'nextSpawnEstimateMax', 'isWindow', 'tags'];
+const BOSS_TIMESTAMP_FIELDS = ['lastKilled', 'nextSpawnEstimateMin', 'nextSpawnEstimateMax'];
+
+function toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(csvRow => csvRow.some(value => value.trim() !== ''));
+}
+
+function bossToCsvRow(boss) {
+    return BOSS_CSV_COLUMNS.map(column => {
+        if (column === 'schedule') return toCsvValue(boss.schedule?.expression);
+        if (column === 'timeZone') return toCsvValue(boss.schedule?.timeZone);
+        if (column === 'tags') return toCsvValue(boss.tags.join(' '));
+        if (BOSS_TIMESTAMP_FIELDS.includes(column)) return toCsvValue(boss[column] ? new Date(boss[column]).toISOString() : null);
+        return toCsvValue(boss[column]);
+    }).join(',');
+}
+
+// Reads the uploaded file into plain boss records, or throws an Error explaining why it can't.
+function parseImportFile(fileName, content) {
+    if (fileName.toLowerCase().endsWith('.csv')) {
+        const [header, ...rows] = parseCsv(content);
+        if (!header || !header.includes('name')) throw new Error('The CSV file needs a header row with at least a `name` column.');
+        return rows.map(row => {
+            const record = {};
+            header.forEach((column, index) => {
+                if (row[index] !== undefined && row[index] !== '') record[column.trim()] = row[index];
+            });
+            return record;
+        });
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(content);
+    } catch (error) {
+        throw new Error(`The file is not valid JSON (${error.message}).`);
+    }
+    const records = Array.isArray(parsed) ? parsed : (parsed.bosses || parsed);
+    if (!records || typeof records !== 'object') throw new Error('The JSON file must contain a list of bosses.');
+    return Array.isArray(records) ? records : Object.values(records);
+}
+
+function parseImportTimestamp(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const timestamp = typeof value === 'number' ? value : (/^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value));
+    return isNaN(timestamp) ? undefined : timestamp;
+}
+
+// Per-boss overrides are checked like `config` checks them. null if absent, undefined if invalid.
+function parseImportOverrides(overrides) {
+    if (overrides === null || overrides === undefined) return null;
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) return undefined;
+    const parsed = {};
+    for (const [setting, value] of Object.entries(overrides)) {
+        const configKey = Object.values(CONFIG_KEYS).find(key => key.setting === setting && !key.guildOnly);
+        const parsedValue = configKey && ['string', 'number'].includes(typeof value) ? configKey.parse(String(value)) : null;
+        if (parsedValue === null) return undefined;
+        parsed[setting] = parsedValue;
+    }
+    return parsed;
+}
+
+// History entries need a known event type, a timestamp and at most a member id as reporter.
+// null if absent, undefined if any entry is invalid.
+function parseImportHistory(history) {
+    if (history === null || history === undefined) return null;
+    if (!Array.isArray(history)) return undefined;
+    const valid = history.every(entry => entry && typeof entry === 'object'
+        && Object.hasOwn(HISTORY_EVENT_LABELS, entry.type)
+        && Number.isFinite(entry.timestamp)
+        && (entry.reportedBy === null || entry.reportedBy === undefined || /^\d{17,20}$/.test(entry.reportedBy)));
+    return valid ? history : undefined;
+}
+
+// Turns one imported record into a boss definition. Returns { boss } or { error }.
+function normalizeImportedBoss(guild, fallbackChannelId, record, index) {
+    const label = `Entry ${index + 1}${record && record.name ? ` (${record.name})` : ''}`;
+    if (!record || typeof record !== 'object' || typeof record.name !== 'string' || !record.name.trim()) {
+        return { error: `${label}: missing name.` };
+    }
+
+    const type = record.type === 'schedule' || record.schedule ? 'schedule' : 'respawn';
+    const scheduleExpression = typeof record.schedule === 'object' && record.schedule !== null ? record.schedule.expression : record.schedule;
+    const timeZone = (typeof record.schedule === 'object' && record.schedule !== null ? record.schedule.timeZone : record.timeZone) || getGuildTimeZone(guild.id);
+    const minRespawnHours = record.minRespawnHours === undefined || record.minRespawnHours === null || record.minRespawnHours === '' ? null : parseFloat(record.minRespawnHours);
+    const maxRespawnHours = record.maxRespawnHours === undefined || record.maxRespawnHours === null || record.maxRespawnHours === '' ? null : parseFloat(record.maxRespawnHours);
+
+    if (type === 'schedule') {
+        if (!parseSchedule(scheduleExpression)) return { error: `${label}: invalid schedule "${scheduleExpression}".` };
+        if (!isValidTimeZone(timeZone)) return { error: `${label}: unknown time zone "${timeZone}".` };
+    } else {
+        if (minRespawnHours === null || isNaN(minRespawnHours) || minRespawnHours <= 0) return { error: `${label}: respawn time must be a positive number.` };
+        if (maxRespawnHours !== null && (isNaN(maxRespawnHours) || maxRespawnHours < minRespawnHours)) return { error: `${label}: maximum respawn time cannot be less than minimum.` };
+    }
+
+    const timestamps = {};
+    for (const field of BOSS_TIMESTAMP_FIELDS) {
+        timestamps[field] = parseImportTimestamp(record[field]);
+        if (timestamps[field] === undefined) return { error: `${label}: invalid ${field} "${record[field]}".` };
+    }
+
+    // Channels and roles from another server can't be used here
+    const notificationChannelId = guild.channels.cache.has(record.notificationChannelId) ? record.notificationChannelId : fallbackChannelId;
+    const pingRoleId = record.pingRoleId && guild.roles.cache.has(record.pingRoleId) ? record.pingRoleId : null;
+    const server = record.server ? normalizeServerName(String(record.server)) : null;
+    if (record.server && !server) return { error: `${label}: invalid server "${record.server}".` };
+    // Tags are a list in JSON and space or comma separated in CSV
+    const rawTags = Array.isArray(record.tags) ? record.tags : String(record.tags ?? '').split(/[\s,]+/).filter(Boolean);
+    const tags = [...new Set(rawTags.map(normalizeTag))];
+    if (tags.includes(null)) return { error: `${label}: invalid tags "${rawTags.join(' ')}".` };
+    const overrides = parseImportOverrides(record.overrides);
+    if (overrides === undefined) return { error: `${label}: invalid overrides (use the setting names and values \`config\` accepts).` };
+    const history = parseImportHistory(record.history);
+    if (history === undefined) return { error: `${label}: invalid history.` };
+
+    return {
+        boss: {
+            type: type,
+            name: record.name.trim(),
+            server: server,
+            location: record.location ? String(record.location) : 'Unknown',
+            minRespawnHours: type === 'schedule' ? null : minRespawnHours,
+            maxRespawnHours: type === 'schedule' ? null : maxRespawnHours,
+            ...(type === 'schedule' ? { schedule: { expression: scheduleExpression, timeZone: timeZone } } : {}),
+            lastKilled: timestamps.lastKilled,
+            nextSpawnEstimateMin: timestamps.nextSpawnEstimateMin,
+            nextSpawnEstimateMax: timestamps.nextSpawnEstimateMax,
+            isWindow: record.isWindow === true || record.isWindow === 'true',
+            notificationChannelId: notificationChannelId,
+            pingRoleId: pingRoleId,
+            tags: tags,
+            ...(overrides ? { overrides: overrides } : {}),
+            ...(history ? { history: history } : {}),
+        }
+    };
+}
+
+// Fields compared to decide whether an existing boss is changed by an import
+const BOSS_DEFINITION_FIELDS = ['type', 'name', 'server', 'location', 'minRespawnHours', 'maxRespawnHours', 'notificationChannelId', 'pingRoleId', 'lastKilled', 'nextSpawnEstimateMin', 'nextSpawnEstimateMax'];
+
+function diffImportedBosses(guildBosses, importedBosses) {
+    const added = [];
+    const changed = [];
+    importedBosses.forEach((boss, bossKey) => {
+        const existing = guildBosses.get(bossKey);
+        if (!existing) {
+            added.push(formatBossName(boss));
+            return;
+        }
+        const changedFields = BOSS_DEFINITION_FIELDS.filter(field => (existing[field] ?? null) !== (boss[field] ?? null));
+        if (JSON.stringify(existing.schedule || null) !== JSON.stringify(boss.schedule || null)) changedFields.push('schedule');
+        if (existing.tags.join(' ') !== boss.tags.join(' ')) changedFields.push('tags');
+        if (changedFields.length > 0) changed.push(`${formatBossName(boss)} (${changedFields.join(', ')})`);
+    });
+    const removed = guildBosses.filter((boss, bossKey) => !importedBosses.has(bossKey)).map(boss => formatBossName(boss));
+    return { added, changed, removed };
+}
+
+function formatDiffList(names) {
+    if (names.length === 0) return 'None';
+    const text = names.join('\n');
+    return text.length > 1024 ? `${text.substring(0, 1000)}\n… and more` : text;
+}
+
+function applyImportedBosses(guildId, importedBosses) {
+    const guildBosses = getGuildBosses(guildId);
+
+    guildBosses.forEach((boss, bossKey) => {
+        if (!importedBosses.has(bossKey)) {
+            clearBossTimers(guildId, bossKey);
+            guildBosses.delete(bossKey);
+            forgetUndoStates(guildId, bossKey);
+        }
+    });
+
+    importedBosses.forEach((importedBoss, bossKey) => {
+        const existing = guildBosses.get(bossKey);
+        if (existing) clearBossTimers(guildId, bossKey);
+        forgetUndoStates(guildId, bossKey); // Imported timers replace whatever undo would restore
+        const boss = createBossRecord({
+            originalChannelId: importedBoss.notificationChannelId,
+            ...(existing ? serializeBoss(existing) : {}),
+            ...importedBoss,
+        });
+        if (!isScheduledBoss(boss)) delete boss.schedule;
+        if (isScheduledBoss(boss) && !(boss.nextSpawnEstimateMin > Date.now())) {
+            boss.nextSpawnEstimateMin = getNextScheduledSpawn(boss, Date.now());
+        }
+        guildBosses.set(bossKey, boss);
+        if (boss.nextSpawnEstimateMin && boss.nextSpawnEstimateMin > Date.now()) {
+            scheduleBossNotifications(guildId, bossKey);
+        }
+    });
+
+    saveBossData();
+}
+
+defineCommand({
+    name: 'export',
+    description: 'Exports the boss list and timers of this server as a file.',
+    usage: 'export [json|csv]',
+    help: 'Uploads the bosses and timers of this server as a JSON (default) or CSV file, which can be loaded again with `import`.',
+    permission: 'admin',
+    options: [
+        { name: 'format', type: 'string', description: 'File format (default json)', choices: ['json', 'csv'] },
+    ],
+    async execute(ctx, options) {
+        const format = (options.format || 'json').toLowerCase();
+        if (!['json', 'csv'].includes(format)) {
+            return ctx.reply('Format must be `json` or `csv`.');
+        }
+
+        const guildBosses = getGuildBosses(ctx.guildId);
+        let content;
+        if (format === 'csv') {
+            content = [BOSS_CSV_COLUMNS.join(','), ...guildBosses.map(boss => bossToCsvRow(boss))].join('\n');
+        } else {
+            content = JSON.stringify({ exportedAt: new Date().toISOString(), bosses: guildBosses.map(boss => serializeBoss(boss)) }, null, 4);
+        }
+
+        const attachment = new AttachmentBuilder(Buffer.from(content, 'utf8'), { name: `bosses-${ctx.guildId}.${format}` });
+        await ctx.reply({ content: `Exported ${guildBosses.size} bosses.`, files: [attachment] });
+    }
+});
+
+defineCommand({
+    name: 'import',
+    description: 'Imports a boss list from a JSON or CSV file.',
+    usage: 'import (attach a .json or .csv file)',
+    help: 'Reads an attached JSON or CSV file (as produced by `export`), shows which bosses will be added, changed or removed, and applies it after confirmation. Bosses missing from the file are removed.',
+    permission: 'admin',
+    options: [
+        { name: 'file', type: 'attachment', description: 'JSON or CSV file from the export command', required: true },
+    ],
+    async execute(ctx, options) {
+        const file = options.file;
+        if (!/\.(json|csv)$/i.test(file.name)) {
+            return ctx.reply('Please attach a `.json` or `.csv` file.');
+        }
+        if (file.size > MAX_IMPORT_FILE_BYTES) {
+            return ctx.reply('The file is too large to import.');
+        }
+
+        let records;
+        try {
+            const response = await fetch(file.url);
+            if (!response.ok) throw new Error(`Download failed with status ${response.status}.`);
+            records = parseImportFile(file.name, await response.text());
+        } catch (error) {
+            return ctx.reply(`Could not read the file: ${error.message}`);
+        }
+
+        const importedBosses = new Collection();
+        const errors = [];
+        records.forEach((record, index) => {
+            const result = normalizeImportedBoss(ctx.guild, ctx.channel.id, record, index);
+            if (result.error) {
+                errors.push(result.error);
+            } else if (importedBosses.has(getBossKey(result.boss))) {
+                errors.push(`Entry ${index + 1} (${formatBossName(result.boss)}): duplicate boss name.`);
+            } else {
+                importedBosses.set(getBossKey(result.boss), result.boss);
+            }
+        });
+
+        if (errors.length > 0) {
+            return ctx.reply(`The file has ${errors.length} problem(s), nothing was imported:\n${errors.slice(0, 10).join('\n')}${errors.length > 10 ? '\n…' : ''}`);
+        }
+
+        const diff = diffImportedBosses(getGuildBosses(ctx.guildId), importedBosses);
+        const importId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        client.pendingImports.forEach((pendingImport, id) => {
+            if (pendingImport.expiresAt < Date.now()) client.pendingImports.delete(id);
+        });
+        client.pendingImports.set(importId, {
+            guildId: ctx.guildId,
+            userId: ctx.user.id,
+            bosses: importedBosses,
+            expiresAt: Date.now() + PENDING_IMPORT_TTL_MINUTES * 60 * 1000
+        });
+
+        const diffEmbed = new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle(`📥 Import ${file.name}`)
+            .setDescription(`${importedBosses.size} bosses in the file. Review the changes below.`)
+            .addFields(
+                { name: `➕ Added (${diff.added.length})`, value: formatDiffList(diff.added) },
+                { name: `✏️ Changed (${diff.changed.length})`, value: formatDiffList(diff.changed) },
+                { name: `➖ Removed (${diff.removed.length})`, value: formatDiffList(diff.removed) }
+            )
+            .setFooter({ text: `Expires in ${PENDING_IMPORT_TTL_MINUTES} minutes` });
+
+        const row = new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`importconfirm_${importId}`)
+                    .setLabel('Apply Import')
+                    .setStyle(ButtonStyle.Danger),
+                new ButtonBuilder()
+                    .setCustomId(`importcancel_${importId}`)
+                    .setLabel('Cancel')
+                    .setStyle(ButtonStyle.Secondary)
+            );
+
+        await ctx.reply({ embeds: [diffEmbed], components: [row] });
+    }
+});
+
+client.on('messageCreate', async message => {
+    if (!ENABLE_PREFIX_COMMANDS) return;
+    if (message.author.bot || !message.guild) return;
+    const prefix = getGuildSetting(message.guild.id, 'prefix');
+    if (!message.content.startsWith(prefix)) return;
+
+    const args = parseArguments(message.content.slice(prefix.length).trim());
+    const commandName = (args.shift() || '').toLowerCase();
+    const command = client.commands.get(commandName);
+    if (!command) return;
+
+    await runCommand(command, createMessageContext(message), getPrefixOptions(command, args, message));
+});
+
+function parseArguments(content) {
+    const regex = /[^\s"']+|"([^"]*)"|'([^']*)'/g;
+    const results = [];
+    let match;
+    while (match = regex.exec(content)) {
+        results.push(match[1] || match[2] || match[0]);
+    }
+    return results;
+}
+
+// --- Time zones and fixed schedules ---
+// Scheduled bosses spawn at fixed weekday/time slots in a time zone, e.g. "Tue,Thu,Sat 21:00".
+// Several segments can be joined with ";" and a segment may list several times: "Daily 12:00,20:00".
+
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+function isScheduledBoss(boss) {
+    return boss.type === 'schedule';
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function parseWeekday(token) {
+    return WEEKDAY_NAMES.indexOf(token.substring(0, 3));
+}
+
+// Returns a list of { days, hour, minute } slots, or null if the expression is invalid.
+function parseSchedule(expression) {
+    if (!expression) return null;
+    const slots = [];
+
+    for (const segment of expression.split(';').map(part => part.trim()).filter(Boolean)) {
+        const match = segment.match(/^(\S+)\s+(.+)$/);
+        if (!match) return null;
+
+        let days = [];
+        const dayPart = match[1].toLowerCase();
+        if (dayPart === 'daily' || dayPart === '*') {
+            days = [0, 1, 2, 3, 4, 5, 6];
+        } else {
+            for (const token of dayPart.split(',')) {
+                const [from, to] = token.split('-').map(parseWeekday);
+                if (from < 0 || (to !== undefined && to < 0)) return null;
+                if (to === undefined) {
+                    days.push(from);
+                } else {
+                    for (let day = from; day !== (to + 1) % 7; day = (day + 1) % 7) days.push(day);
+                }
             }
-
-            await message.channel.send({ embeds: [spawnEmbed] });
         }
 
-    } else if (commandName === 'setchannel') {
-        if (args.length < 2) {
-            return message.reply(`Usage: ${prefix}setchannel "<boss_name>" <channel_id>`);
+        for (const time of match[2].split(',').map(part => part.trim())) {
+            const timeMatch = time.match(/^(\d{1,2}):(\d{2})$/);
+            if (!timeMatch) return null;
+            const hour = parseInt(timeMatch[1], 10);
+            const minute = parseInt(timeMatch[2], 10);
+            if (hour > 23 || minute > 59) return null;
+            slots.push({ days, hour, minute });
         }
-        const bossNameArg = args[0];
-        const bossKey = bossNameArg.toLowerCase().replace(/\s+/g, '_');
-        const newChannelId = args[1];
-        const boss = guildBosses.get(bossKey);
+    }
 
-        if (!boss) {
-            return message.reply(`Boss "${bossNameArg}" not found.`);
-        }
+    return slots.length > 0 ? slots : null;
+}
 
-        try {
-            const channel = await client.channels.fetch(newChannelId);
-            if (channel && channel.type === 0 /* GUILD_TEXT */) {
-                const botMember = await message.guild.members.fetch(client.user.id);
-                if (!channel.permissionsFor(botMember).has(PermissionsBitField.Flags.SendMessages)) {
-                     return message.reply(`I do not have permission to send messages in channel <#${newChannelId}>.`);
-                }
+function getNextScheduledSpawn(boss, afterTimestamp) {
+    const slots = parseSchedule(boss.schedule?.expression);
+    if (!slots) return null;
+    const timeZone = boss.schedule.timeZone || DEFAULT_TIMEZONE;
+    const localStart = new Date(afterTimestamp + getTimeZoneOffset(timeZone, afterTimestamp));
 
-                boss.notificationChannelId = newChannelId;
-                await message.reply(`Notification channel for boss **${boss.name}** changed to <#${newChannelId}>.`);
-                saveBossData();
-                if (boss.nextSpawnEstimateMin && boss.nextSpawnEstimateMin > Date.now()) {
-                    scheduleBossNotifications(guildId, bossKey); 
-                }
-            } else {
-                await message.reply(`Channel with ID ${newChannelId} not found or is not a text channel.`);
-            }
-        } catch (error) {
-            console.error("Error setting channel:", error);
-            await message.reply(`Could not find channel with ID ${newChannelId}.`);
-        }
+    for (let dayOffset = 0; dayOffset <= 7; dayOffset++) {
+        const day = new Date(Date.UTC(localStart.getUTCFullYear(), localStart.getUTCMonth(), localStart.getUTCDate() + dayOffset));
+        const candidates = slots
+            .filter(slot => slot.days.includes(day.getUTCDay()))
+            .map(slot => zonedTimeToTimestamp(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), slot.hour, slot.minute, timeZone))
+            .filter(timestamp => timestamp > afterTimestamp);
+        if (candidates.length > 0) return Math.min(...candidates);
     }
-});
+    return null;
+}
 
-function parseArguments(content) {
-    const regex = /[^\s"']+|"([^"]*)"|'([^']*)'/g;
-    const results = [];
-    let match;
-    while (match = regex.exec(content)) {
-        results.push(match[1] || match[2] || match[0]);
+function formatRespawn(boss) {
+    if (isScheduledBoss(boss)) {
+        return `${boss.schedule.expression} (${boss.schedule.timeZone || DEFAULT_TIMEZONE})`;
     }
-    return results;
+    return `${boss.minRespawnHours}${boss.maxRespawnHours ? `-${boss.maxRespawnHours}` : ''} hrs`;
+}
+
+// Effective timing settings of a boss; values overridden for this boss are marked with *.
+function formatBossTimings(guildId, boss) {
+    return Object.values(CONFIG_KEYS)
+        .filter(configKey => !configKey.guildOnly)
+        .map(configKey => {
+            const overridden = boss.overrides?.[configKey.setting] !== undefined;
+            return `${configKey.label}: **${getBossSetting(guildId, boss, configKey.setting)}**${overridden ? '*' : ''}`;
+        })
+        .join('\n');
+}
+
+function createConfigEmbed(guildId) {
+    const settings = client.guildSettings.get(guildId) || {};
+    const embed = new EmbedBuilder()
+        .setColor(0x0099FF)
+        .setTitle('⚙️ Server Settings')
+        .setDescription(Object.entries(CONFIG_KEYS)
+            .map(([key, configKey]) => `\`${key}\` ${configKey.label}: **${formatConfigValue(configKey, getGuildSetting(guildId, configKey.setting))}**${settings[configKey.setting] === undefined ? ' (default)' : ''}`)
+            .join('\n'));
+
+    const overriddenBosses = [...(client.bossData.get(guildId)?.values() || [])]
+        .filter(boss => boss.overrides && Object.keys(boss.overrides).length > 0);
+    if (overriddenBosses.length > 0) {
+        embed.addFields({
+            name: 'Boss Overrides',
+            value: overriddenBosses
+                .map(boss => `**${formatBossName(boss)}**: ${Object.entries(boss.overrides).map(([setting, value]) => `${Object.keys(CONFIG_KEYS).find(key => CONFIG_KEYS[key].setting === setting)}=${value}`).join(', ')}`)
+                .join('\n')
+                .substring(0, 1024)
+        });
+    }
+    return embed;
 }
 
-function createBossStatusEmbed(boss) {
+function createBossStatusEmbed(guildId, boss) {
     const embed = new EmbedBuilder()
         .setColor(boss.lastKilled ? (boss.isWindow ? 0xFFD700 : 0x00FF00) : 0xFF0000)
-        .setTitle(`👑 ${boss.name} - ${boss.location}`)
+        .setTitle(`👑 ${formatBossName(boss)} - ${boss.location}`)
         .addFields(
-            { name: 'Respawn', value: `${boss.minRespawnHours}${boss.maxRespawnHours ? `-${boss.maxRespawnHours}` : ''} hrs` },
-            { name: 'Notification Channel', value: `<#${boss.notificationChannelId || boss.originalChannelId}>` }
+            { name: isScheduledBoss(boss) ? 'Schedule' : 'Respawn', value: formatRespawn(boss) },
+            { name: 'Notification Channel', value: `<#${getBossNotificationChannelId(guildId, boss)}>` },
+            { name: 'Timings', value: formatBossTimings(guildId, boss) }
         );
 
+    const pingRoleId = getBossPingRoleId(guildId, boss);
+    if (pingRoleId) {
+        embed.addFields({ name: 'Ping Role', value: `<@&${pingRoleId}>` });
+    }
+    if (boss.tags.length > 0) {
+        embed.addFields({ name: 'Tags', value: boss.tags.map(tag => `\`${tag}\``).join(' ') });
+    }
     if (boss.lastKilled) {
         embed.addFields({ name: 'Last Killed', value: `<t:${Math.floor(boss.lastKilled / 1000)}:F>` });
     }
     if (boss.nextSpawnEstimateMin) {
         embed.addFields({ name: 'Next Respawn', value: formatNextSpawn(boss) });
     } else {
-        embed.addFields({ name: 'Next Respawn', value: 'No information (mark kill with `!killed` command)' });
+        embed.addFields({ name: 'Next Respawn', value: `No information (mark kill with \`${getGuildSetting(guildId, 'prefix')}killed\` command)` });
     }
     if (boss.isWindow) {
         embed.setFooter({ text: 'ATTENTION: Respawn time is a window (not exact)!' });
@@ -447,33 +4439,238 @@ function createBossStatusEmbed(boss) {
     return embed;
 }
 
-function updateBossAsKilled(guildId, bossKey, killTimestamp, replyChannel, interaction = null) {
-    const guildBosses = client.bossData.get(guildId);
-    if (!guildBosses) return;
-    const boss = guildBosses.get(bossKey);
+// Appends an entry to the boss's kill history and applies the retention limits.
+function recordBossHistory(boss, type, timestamp, reportedBy, details = {}) {
+    const cutoff = Date.now() - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const history = boss.history.filter(entry => entry.timestamp >= cutoff);
+    history.push({ type, timestamp, reportedBy: reportedBy || null, recordedAt: Date.now(), ...details });
+    boss.history = history.slice(-HISTORY_MAX_ENTRIES_PER_BOSS);
+}
+
+function createHistoryMessage(guildId, bossKey, boss, page) {
+    const entries = [...boss.history].reverse();
+    const totalPages = Math.max(1, Math.ceil(entries.length / HISTORY_PAGE_SIZE));
+    const currentPage = Math.min(Math.max(page, 1), totalPages);
+    const pageEntries = entries.slice((currentPage - 1) * HISTORY_PAGE_SIZE, currentPage * HISTORY_PAGE_SIZE);
+
+    const lines = pageEntries.map(entry => {
+        let line = `${HISTORY_EVENT_LABELS[entry.type] || entry.type} — <t:${Math.floor(entry.timestamp / 1000)}:F>`;
+        if (entry.reportedBy) line += ` by <@${entry.reportedBy}>`;
+        return line;
+    });
+
+    const historyEmbed = new EmbedBuilder()
+        .setColor(0x8A2BE2) // BlueViolet
+        .setTitle(`📖 ${formatBossName(boss)} - History`)
+        .setDescription(lines.length > 0 ? lines.join('\n') : 'No history recorded yet.')
+        .setFooter({ text: `Page ${currentPage}/${totalPages} • ${entries.length} entries` });
+
+    const row = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`history_${currentPage - 1}_${bossKey}_${guildId}`)
+                .setLabel('Previous')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(currentPage <= 1),
+            new ButtonBuilder()
+                .setCustomId(`history_${currentPage + 1}_${bossKey}_${guildId}`)
+                .setLabel('Next')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(currentPage >= totalPages)
+        );
+
+    return { embeds: [historyEmbed], components: totalPages > 1 ? [row] : [] };
+}
+
+// --- Audit log and undo ---
+// Every change to boss state is logged per guild with the acting user (null for the bot itself).
+// Kills and unconfirmed spawns also store the boss fields from before the change, so `undo` can
+// put them back; undoing walks back through a boss's changes one at a time.
+
+// Snapshot of the fields a kill or unconfirmed spawn changes, taken before the change
+function captureBossState(boss) {
+    const state = { capturedAt: Date.now() };
+    UNDO_STATE_FIELDS.forEach(field => {
+        state[field] = boss[field];
+    });
+    return state;
+}
+
+function logAudit(guildId, actorId, action, { bossKey = null, bossName = null, summary = '', before = null } = {}) {
+    if (!client.auditLog.has(guildId)) client.auditLog.set(guildId, []);
+    const log = client.auditLog.get(guildId);
+
+    const entry = { id: (log[log.length - 1]?.id || 0) + 1, timestamp: Date.now(), actorId: actorId || null, action, bossKey, bossName, summary };
+    if (before) entry.before = before;
+    log.push(entry);
+    if (log.length > AUDIT_LOG_MAX_ENTRIES_PER_GUILD) {
+        log.splice(0, log.length - AUDIT_LOG_MAX_ENTRIES_PER_GUILD);
+    }
+    saveAuditLog();
+    return entry;
+}
+
+// The most recent change that can still be undone, for one boss or the whole guild
+function findUndoableAuditEntry(guildId, bossKey = null) {
+    const log = client.auditLog.get(guildId) || [];
+    for (let index = log.length - 1; index >= 0; index--) {
+        const entry = log[index];
+        if (entry.before && !entry.undone && (!bossKey || entry.bossKey === bossKey)) return entry;
+    }
+    return null;
+}
+
+// Called when a boss goes away, so its old changes can't be undone onto a new boss with the same key
+function forgetUndoStates(guildId, bossKey) {
+    (client.auditLog.get(guildId) || [])
+        .filter(entry => entry.bossKey === bossKey)
+        .forEach(entry => delete entry.before);
+    saveAuditLog();
+}
+
+// Restores the boss fields saved in an audit entry and removes the history it added
+function undoBossChange(guildId, entry, actorId) {
+    const boss = client.bossData.get(guildId)?.get(entry.bossKey);
+    if (!boss) return null;
+
+    const { capturedAt, killEntry, ...state } = entry.before;
+    Object.assign(boss, state);
+    boss.history = boss.history.filter(historyEntry => !(historyEntry.recordedAt >= capturedAt));
+    if (killEntry) {
+        const correctedEntry = boss.history.find(historyEntry => historyEntry.recordedAt === killEntry.recordedAt);
+        if (correctedEntry) correctedEntry.timestamp = killEntry.timestamp;
+    }
+
+    entry.undone = true;
+    logAudit(guildId, actorId, 'undo', { bossKey: entry.bossKey, bossName: formatBossName(boss), summary: `Reverted #${entry.id} (${AUDIT_ACTION_LABELS[entry.action] || entry.action})` });
+    saveBossData();
+    return boss;
+}
+
+// Re-arms the timers of a boss whose estimate was set back. A spawn that is due but can still be
+// reported gets its spawn message again.
+async function restoreBossTimers(guildId, bossKey) {
+    const boss = client.bossData.get(guildId)?.get(bossKey);
     if (!boss) return;
 
+    clearBossTimers(guildId, bossKey);
+    if (!boss.nextSpawnEstimateMin) return;
+    if (boss.nextSpawnEstimateMin > Date.now()) {
+        scheduleBossNotifications(guildId, bossKey);
+    } else if (!boss.messageIdToTrack && getSpawnReportDeadline(guildId, boss) > Date.now()) {
+        await triggerSpawnNotification(guildId, bossKey);
+    }
+}
+
+function createAuditLogEmbed(guildId, page) {
+    const entries = [...(client.auditLog.get(guildId) || [])].reverse();
+    const totalPages = Math.max(1, Math.ceil(entries.length / AUDIT_LOG_PAGE_SIZE));
+    const currentPage = Math.min(Math.max(page, 1), totalPages);
+
+    const lines = entries
+        .slice((currentPage - 1) * AUDIT_LOG_PAGE_SIZE, currentPage * AUDIT_LOG_PAGE_SIZE)
+        .map(entry => {
+            let line = `\`#${entry.id}\` <t:${Math.floor(entry.timestamp / 1000)}:f> ${AUDIT_ACTION_LABELS[entry.action] || entry.action}`;
+            if (entry.bossName) line += ` **${entry.bossName}**`;
+            if (entry.summary) line += ` — ${entry.summary}`;
+            line += entry.actorId ? ` by <@${entry.actorId}>` : ' (automatic)';
+            if (entry.undone) line += ' *(undone)*';
+            return line;
+        });
+
+    return new EmbedBuilder()
+        .setColor(0x708090) // SlateGray
+        .setTitle('🗒️ Audit Log')
+        .setDescription(lines.length > 0 ? lines.join('\n').substring(0, 4096) : 'No changes recorded yet.')
+        .setFooter({ text: `Page ${currentPage}/${totalPages} • ${entries.length} entries` });
+}
+
+// Sets the kill time and the next spawn estimate that follows from it
+function applyKillTime(boss, killTimestamp) {
     boss.lastKilled = killTimestamp; 
     boss.isWindow = false;
 
-    boss.nextSpawnEstimateMin = killTimestamp + boss.minRespawnHours * 60 * 60 * 1000;
-    if (boss.maxRespawnHours && boss.maxRespawnHours > boss.minRespawnHours) {
-        boss.nextSpawnEstimateMax = killTimestamp + boss.maxRespawnHours * 60 * 60 * 1000;
+    if (isScheduledBoss(boss)) {
+        // Fixed schedules ignore the kill time and simply move on to the next slot
+        boss.nextSpawnEstimateMin = getNextScheduledSpawn(boss, Math.max(killTimestamp, Date.now()));
+        boss.nextSpawnEstimateMax = null;
     } else {
-        boss.nextSpawnEstimateMax = null; 
-    }
-    
-    const replyContent = `💀 Boss **${boss.name}** (${boss.location}) marked as killed at <t:${Math.floor(killTimestamp / 1000)}:F>! Next respawn: ${formatNextSpawn(boss)}`;
-    
-    if (interaction) {
-        interaction.reply({ content: replyContent, ephemeral: false });
-    } else if (replyChannel) {
-        replyChannel.send(replyContent);
+        boss.nextSpawnEstimateMin = killTimestamp + boss.minRespawnHours * 60 * 60 * 1000;
+        if (boss.maxRespawnHours && boss.maxRespawnHours > boss.minRespawnHours) {
+            boss.nextSpawnEstimateMax = killTimestamp + boss.maxRespawnHours * 60 * 60 * 1000;
+        } else {
+            boss.nextSpawnEstimateMax = null; 
+        }
     }
+}
+
+async function updateBossAsKilled(guildId, bossKey, killTimestamp, replyChannel, interaction = null, reportedBy = null) {
+    const guildBosses = client.bossData.get(guildId);
+    if (!guildBosses) return;
+    const boss = guildBosses.get(bossKey);
+    if (!boss) return;
+
+    const actorId = reportedBy || interaction?.user?.id;
+    const before = captureBossState(boss);
+    recordBossHistory(boss, 'kill', killTimestamp, actorId);
+    applyKillTime(boss, killTimestamp);
+    logAudit(guildId, actorId, 'kill', { bossKey, bossName: formatBossName(boss), summary: `Killed at <t:${Math.floor(killTimestamp / 1000)}:f>`, before });
+    emitWebhookEvent(guildId, 'kill', bossKey, boss, { killedAt: new Date(killTimestamp).toISOString(), reportedBy: actorId || null });
     
     clearBossTimers(guildId, bossKey); 
     scheduleBossNotifications(guildId, bossKey);
+    // Stops tracking the spawn message before the save; its buttons come off after the reply
+    const spawnMessageClosed = closeSpawnMessage(guildId, bossKey, boss);
     saveBossData();
+
+    const replyContent = `💀 Boss **${formatBossName(boss)}** (${boss.location}) marked as killed at <t:${Math.floor(killTimestamp / 1000)}:F>! Next respawn: ${formatNextSpawn(boss)}`;
+    
+    const lootRow = createLootButtonRow(guildId, bossKey, killTimestamp);
+    try {
+        if (interaction) {
+            await interaction.reply({ content: replyContent, components: [lootRow], ephemeral: false });
+        } else if (replyChannel) {
+            await replyChannel.send({ content: replyContent, components: [lootRow] });
+        }
+    } catch (error) {
+        console.error(`Could not post the kill of ${formatBossName(boss)} in guild ${guildId}:`, error);
+    }
+    await spawnMessageClosed;
+}
+
+const UNCONFIRMED_SPAWN_EVENT_TYPES = {
+    'missed': 'miss',
+    'not appeared': 'not_appeared',
+    'auto-timeout': 'auto_timeout',
+    'passed while offline': 'offline',
+};
+
+// Records an unconfirmed spawn and moves the boss's estimate on to its next spawn
+function advanceUnconfirmedSpawn(guildId, boss, reason, reportedBy) {
+    const MINUTE_IN_MS = 60 * 1000;
+    const HOUR_IN_MS = 60 * MINUTE_IN_MS;
+
+    // The base for calculation is the time the boss *should* have spawned.
+    const expectedSpawnTime = boss.nextSpawnEstimateMin;
+    recordBossHistory(boss, UNCONFIRMED_SPAWN_EVENT_TYPES[reason], Date.now(), reportedBy, { expectedSpawnTime });
+    boss.lastKilled = null; // We don't have a confirmed kill time
+
+    if (isScheduledBoss(boss)) {
+        // Fixed schedules don't depend on the kill, so the next slot is exact
+        boss.isWindow = false;
+        boss.nextSpawnEstimateMin = getNextScheduledSpawn(boss, Math.max(expectedSpawnTime, Date.now()));
+        boss.nextSpawnEstimateMax = null;
+        return;
+    }
+
+    // Next spawn = expected spawn + respawn time + unconfirmed spawn buffer
+    const bufferMinutes = getBossSetting(guildId, boss, 'unconfirmedSpawnDelayMinutes');
+    boss.isWindow = true; // The next spawn is now considered a window
+    boss.nextSpawnEstimateMin = expectedSpawnTime + (boss.minRespawnHours * HOUR_IN_MS) + (bufferMinutes * MINUTE_IN_MS);
+    boss.nextSpawnEstimateMax = null;
+    if (boss.maxRespawnHours && boss.maxRespawnHours > boss.minRespawnHours) {
+        boss.nextSpawnEstimateMax = expectedSpawnTime + (boss.maxRespawnHours * HOUR_IN_MS) + (bufferMinutes * MINUTE_IN_MS);
+    }
 }
 
 // New function to handle unconfirmed spawns (from Miss, Not Appeared, or Auto-Miss)
@@ -483,37 +4680,34 @@ async function handleUnconfirmedSpawn(interaction, bossKey, reason) {
     const boss = guildBosses.get(bossKey);
     if (!boss) return;
 
-    // The base for calculation is the time the boss *should* have spawned.
-    const expectedSpawnTime = boss.nextSpawnEstimateMin;
-    if (!expectedSpawnTime) {
+    if (!boss.nextSpawnEstimateMin) {
         if (interaction.isButton()) {
-            await interaction.reply({ content: `Cannot process this action for **${boss.name}** as there was no expected spawn time. Please use \`!killed\` to set a new timer.`, ephemeral: true});
+            await interaction.reply({ content: `Cannot process this action for **${formatBossName(boss)}** as there was no expected spawn time. Please use \`${getGuildSetting(guildId, 'prefix')}killed\` to set a new timer.`, ephemeral: true});
         }
         return;
     }
 
-    const MINUTE_IN_MS = 60 * 1000;
-    const HOUR_IN_MS = 60 * MINUTE_IN_MS;
-    
-    // New logic: next spawn = expected spawn + respawn time + 10 minute buffer
-    const nextMin = expectedSpawnTime + (boss.minRespawnHours * HOUR_IN_MS) + (UNCONFIRMED_SPAWN_DELAY_MINUTES * MINUTE_IN_MS);
-    let nextMax = null;
-    if (boss.maxRespawnHours && boss.maxRespawnHours > boss.minRespawnHours) {
-        nextMax = expectedSpawnTime + (boss.maxRespawnHours * HOUR_IN_MS) + (UNCONFIRMED_SPAWN_DELAY_MINUTES * MINUTE_IN_MS);
-    }
-
-    boss.isWindow = true; // The next spawn is now considered a window
-    boss.lastKilled = null; // We don't have a confirmed kill time
-    boss.nextSpawnEstimateMin = nextMin;
-    boss.nextSpawnEstimateMax = nextMax;
+    const before = captureBossState(boss);
+    advanceUnconfirmedSpawn(guildId, boss, reason, interaction.user?.id);
+    logAudit(guildId, interaction.user?.id, UNCONFIRMED_SPAWN_EVENT_TYPES[reason], { bossKey, bossName: formatBossName(boss), summary: `Spawn expected <t:${Math.floor(before.nextSpawnEstimateMin / 1000)}:f>`, before });
+    emitWebhookEvent(guildId, UNCONFIRMED_SPAWN_EVENT_TYPES[reason], bossKey, boss, { expectedSpawnTime: new Date(before.nextSpawnEstimateMin).toISOString(), reportedBy: interaction.user?.id || null });
 
     const responseEmbed = new EmbedBuilder()
         .setColor(0x778899) // LightSlateGray
-        .setTitle(`⌛ ${boss.name} - Timer Advanced (${reason})`)
-        .setDescription(`The timer for **${boss.name}** has been advanced assuming an unconfirmed spawn. The next spawn is now a window around the original respawn time, plus a 10-minute buffer.`)
-        .addFields({ name: 'New Estimated Window', value: formatNextSpawn(boss) })
-        .setFooter({ text: 'This is not an exact time!' })
+        .setTitle(`⌛ ${formatBossName(boss)} - Timer Advanced (${reason})`)
         .setTimestamp();
+
+    if (isScheduledBoss(boss)) {
+        responseEmbed
+            .setDescription(`**${formatBossName(boss)}** spawns on a fixed schedule. The timer has moved on to the next scheduled spawn.`)
+            .addFields({ name: 'Next Scheduled Spawn', value: formatNextSpawn(boss) });
+    } else {
+        const bufferMinutes = getBossSetting(guildId, boss, 'unconfirmedSpawnDelayMinutes');
+        responseEmbed
+            .setDescription(`The timer for **${formatBossName(boss)}** has been advanced assuming an unconfirmed spawn. The next spawn is now a window around the original respawn time, plus a ${bufferMinutes}-minute buffer.`)
+            .addFields({ name: 'New Estimated Window', value: formatNextSpawn(boss) })
+            .setFooter({ text: 'This is not an exact time!' });
+    }
     
     if (interaction.isButton()) {
         await interaction.reply({ embeds: [responseEmbed] });
@@ -530,8 +4724,54 @@ async function handleUnconfirmedSpawn(interaction, bossKey, reason) {
 }
 
 client.on('interactionCreate', async interaction => {
+    // Boss name suggestions for slash command options
+    if (interaction.isAutocomplete()) {
+        const focusedOption = interaction.options.getFocused(true);
+        const focused = focusedOption.value.toLowerCase();
+        if (focusedOption.name === 'tag' || focusedOption.name === 'server') {
+            const tagChoices = (focusedOption.name === 'tag' ? getGuildTags(interaction.guildId) : getGuildServers(interaction.guildId))
+                .filter(tag => tag.includes(focused))
+                .map(tag => ({ name: tag, value: tag }))
+                .slice(0, 25);
+            await interaction.respond(tagChoices).catch(console.error);
+            return;
+        }
+        const guildBosses = client.bossData.get(interaction.guildId);
+        const choices = guildBosses
+            ? guildBosses
+                .map(boss => formatBossName(boss))
+                .filter(bossName => bossName.toLowerCase().includes(focused))
+                .map(bossName => ({ name: bossName.substring(0, 100), value: bossName.substring(0, 100) }))
+                .slice(0, 25)
+            : [];
+        await interaction.respond(choices).catch(console.error);
+        return;
+    }
+
+    // Slash commands share their handlers with the prefix commands
+    if (interaction.isChatInputCommand()) {
+        const command = client.commands.get(interaction.commandName);
+        if (!command || !interaction.inGuild()) {
+            return interaction.reply({ content: 'This command is not available here.', ephemeral: true });
+        }
+        await runCommand(command, createInteractionContext(interaction), getInteractionOptions(command, interaction));
+        return;
+    }
+
+    // Handle Dropdown Menus for joining or leaving boss roles
+    if (interaction.isStringSelectMenu() && (interaction.customId === 'role_subscribe_select' || interaction.customId === 'role_unsubscribe_select')) {
+        if (await denyWithoutPermission(interaction, 'viewer')) return;
+        const subscribe = interaction.customId === 'role_subscribe_select';
+        const subscribableRoles = getSubscribableRoles(interaction.guildId);
+        const roleIds = interaction.values.filter(roleId => subscribableRoles.has(roleId));
+        const result = await updateMemberSubscriptions(interaction.member, roleIds, subscribe);
+        await interaction.update({ content: result, components: [], allowedMentions: { parse: [] } });
+        return;
+    }
+
     // Handle Dropdown Menu for Removing a Boss
     if (interaction.isStringSelectMenu() && interaction.customId.startsWith('remove_boss_select')) {
+        if (await denyWithoutPermission(interaction, 'admin')) return;
         const bossKeyToRemove = interaction.values[0];
         const guildBosses = client.bossData.get(interaction.guildId);
         const bossToRemove = guildBosses.get(bossKeyToRemove);
@@ -539,9 +4779,11 @@ client.on('interactionCreate', async interaction => {
         if (bossToRemove) {
             clearBossTimers(interaction.guildId, bossKeyToRemove);
             guildBosses.delete(bossKeyToRemove);
+            forgetUndoStates(interaction.guildId, bossKeyToRemove);
+            logAudit(interaction.guildId, interaction.user.id, 'remove_boss', { bossKey: bossKeyToRemove, bossName: formatBossName(bossToRemove) });
             saveBossData();
             
-            await interaction.update({ content: `✅ Boss **${bossToRemove.name}** has been successfully removed.`, components: [] });
+            await interaction.update({ content: `✅ Boss **${formatBossName(bossToRemove)}** has been successfully removed.`, components: [] });
         } else {
             await interaction.update({ content: 'Error: Could not find the selected boss. It might have been removed already.', components: [] });
         }
@@ -549,74 +4791,205 @@ client.on('interactionCreate', async interaction => {
     }
 
 
+    // Loot entered in the modal from a kill message's "Record Loot" button
+    if (interaction.isModalSubmit() && interaction.customId.startsWith('lootmodal_')) {
+        if (await denyWithoutPermission(interaction, 'tracker')) return;
+        const lootParts = interaction.customId.split('_');
+        lootParts.shift();
+        const killTimestamp = parseInt(lootParts.shift(), 10);
+        const lootGuildId = lootParts.pop();
+        const lootBossKey = resolveBossKey(lootGuildId, lootParts.join('_'));
+        const boss = client.bossData.get(lootGuildId)?.get(lootBossKey);
+        if (!boss || lootGuildId !== interaction.guildId) {
+            return interaction.reply({ content: 'This boss no longer exists.', ephemeral: true });
+        }
+
+        const item = interaction.fields.getTextInputValue('item').trim();
+        if (!item) {
+            return interaction.reply({ content: 'Please enter an item name.', ephemeral: true });
+        }
+        // Looking up the recipient by name can outlast the 3 seconds Discord allows before a reply
+        await interaction.deferReply();
+
+        const drop = {
+            item: item,
+            rarity: interaction.fields.getTextInputValue('rarity').trim() || null,
+            ...await resolveLootRecipient(interaction.guild, interaction.fields.getTextInputValue('recipient')),
+            killTimestamp: killTimestamp,
+            recordedBy: interaction.user.id,
+        };
+        recordLoot(boss, drop);
+        logAudit(lootGuildId, interaction.user.id, 'loot', { bossKey: lootBossKey, bossName: formatBossName(boss), summary: `${drop.item} → ${formatLootRecipient(drop)}` });
+        saveBossData();
+
+        await interaction.editReply({
+            content: `💎 Recorded **${drop.item}**${drop.rarity ? ` (${drop.rarity})` : ''} from **${formatBossName(boss)}** (kill at <t:${Math.floor(killTimestamp / 1000)}:f>) for ${formatLootRecipient(drop)}.`,
+            allowedMentions: { parse: [] }
+        });
+        return;
+    }
+
+    // Officers adding members to an open attendance check
+    if (interaction.isUserSelectMenu() && interaction.customId.startsWith('attendselect_')) {
+        if (await denyWithoutPermission(interaction, 'tracker')) return;
+        const session = client.attendanceSessions.get(interaction.customId.substring('attendselect_'.length));
+        if (!session) {
+            return interaction.reply({ content: 'This attendance check has closed.', ephemeral: true });
+        }
+        interaction.users
+            .filter(user => !user.bot)
+            .forEach(user => creditAttendee(session, user.id, interaction.user.id));
+        await interaction.update(createAttendanceMessage(session));
+        return;
+    }
+
     if (!interaction.isButton()) return;
 
     if (interaction.customId.startsWith('help_')) {
-        const helpCommand = interaction.customId.split('_')[1];
-        let helpText = 'Command Information:\n';
+        const helpCommand = client.commands.get(interaction.customId.split('_')[1]);
+        let helpText = 'Unknown help command.';
         let ephemeral = true;
 
-        switch (helpCommand) {
-            case 'addboss':
-                helpText += `**${prefix}addboss "<name>" "<location>" <min_hr> [max_hr] [channel_id]**\n`;
-                helpText += 'Adds a new boss to track.';
-                break;
-            case 'killed':
-                helpText += `**${prefix}killed "<name>" ["time"]**\n`;
-                helpText += 'Marks a boss as killed. If no time is given, uses the current time.';
-                break;
-            case 'status':
-                helpText += `**${prefix}status [name]**\n`;
-                helpText += 'Shows the status of all tracked bosses or a specific boss.';
-                break;
-            case 'removeboss':
-                helpText += `**${prefix}removeboss**\n`;
-                helpText += 'Opens an interactive menu to select a boss to remove.';
-                break;
-            case 'setchannel':
-                helpText += `**${prefix}setchannel "<name>" <channel_id>**\n`;
-                helpText += 'Sets or changes the notification channel for a specific boss.';
-                break;
-            case 'restart':
-                helpText += `**${prefix}restart**\n`;
-                helpText += 'Initiates a server restart sequence, triggering spawn notifications for all bosses. **(Admin only)**';
-                break;
-            case 'next':
-                helpText += `**${prefix}next**\n`;
-                helpText += 'Displays the next 5 upcoming boss spawns.';
-                break;
-            case 'ping':
-                helpText += `**${prefix}ping**\n`;
-                helpText += 'Checks the bot\'s response latency.';
-                break;
-            default:
-                helpText = 'Unknown help command.';
+        if (helpCommand) {
+            helpText = 'Command Information:\n';
+            helpText += `**${getGuildSetting(interaction.guildId, 'prefix')}${helpCommand.usage}**\n`;
+            helpText += helpCommand.help;
         }
         await interaction.reply({ content: helpText, ephemeral: ephemeral });
         return;
     }
 
-    if (interaction.customId === 'server_restart_confirm') {
-        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
-            return interaction.reply({ content: 'You must be an administrator to confirm this action.', ephemeral: true });
-        }
+    // The restart may be limited to a tag: server_restart_confirm_<tag>
+    if (interaction.customId === 'server_restart_confirm' || interaction.customId.startsWith('server_restart_confirm_')) {
+        if (await denyWithoutPermission(interaction, 'admin')) return;
+        const tag = interaction.customId.substring('server_restart_confirm_'.length) || null;
         
-        await interaction.update({ content: 'Acknowledged! Triggering spawn notifications for all bosses...', components: [] });
+        await interaction.update({ content: `Acknowledged! Recomputing the timers of ${tag ? `bosses tagged \`${tag}\`` : 'all bosses'}...`, components: [] });
         
-        const guildBosses = client.bossData.get(interaction.guildId);
-        if (guildBosses && guildBosses.size > 0) {
-            guildBosses.forEach((boss, bossKey) => {
-                console.log(`Server restart: Triggering spawn for ${boss.name}`);
-                clearBossTimers(interaction.guildId, bossKey);
-                triggerSpawnNotification(interaction.guildId, bossKey);
-            });
+        const summaryEmbed = await applyServerUp(interaction.guildId, Date.now(), { tag, actorId: interaction.user.id });
+        if (summaryEmbed) {
+            await interaction.followUp({ embeds: [summaryEmbed] });
         } else {
              await interaction.followUp({ content: 'No bosses found to notify about.', ephemeral: true });
         }
         return;
     }
 
+    if (interaction.customId.startsWith('killconfirm_') || interaction.customId.startsWith('killcancel_')) {
+        if (await denyWithoutPermission(interaction, 'tracker')) return;
+        const [confirmAction, reportId] = interaction.customId.split('_');
+        const report = client.pendingKillReports.get(reportId);
+
+        if (!report || report.expiresAt < Date.now()) {
+            client.pendingKillReports.delete(reportId);
+            return interaction.update({ content: 'This kill report has expired. Please use `killed` again.', embeds: [], components: [] });
+        }
+        if (report.userId !== interaction.user.id) {
+            return interaction.reply({ content: 'Only the member who reported this kill can confirm it.', ephemeral: true });
+        }
+
+        client.pendingKillReports.delete(reportId);
+        if (confirmAction === 'killcancel') {
+            return interaction.update({ content: 'Kill report cancelled.', embeds: [], components: [] });
+        }
+
+        await interaction.update({ content: `Kill time confirmed: <t:${Math.floor(report.killTimestamp / 1000)}:F>.`, embeds: [], components: [] });
+        await updateBossAsKilled(report.guildId, report.bossKey, report.killTimestamp, interaction.channel, null, report.userId);
+        return;
+    }
+
+    if (interaction.customId.startsWith('importconfirm_') || interaction.customId.startsWith('importcancel_')) {
+        if (await denyWithoutPermission(interaction, 'admin')) return;
+        const [importAction, importId] = interaction.customId.split('_');
+        const pendingImport = client.pendingImports.get(importId);
+
+        if (!pendingImport || pendingImport.expiresAt < Date.now() || pendingImport.guildId !== interaction.guildId) {
+            client.pendingImports.delete(importId);
+            return interaction.update({ content: 'This import has expired. Please upload the file again.', embeds: [], components: [] });
+        }
+        if (pendingImport.userId !== interaction.user.id) {
+            return interaction.reply({ content: 'Only the member who uploaded this file can apply it.', ephemeral: true });
+        }
+
+        client.pendingImports.delete(importId);
+        if (importAction === 'importcancel') {
+            return interaction.update({ content: 'Import cancelled.', embeds: [], components: [] });
+        }
+
+        applyImportedBosses(pendingImport.guildId, pendingImport.bosses);
+        logAudit(pendingImport.guildId, interaction.user.id, 'import', { summary: `${pendingImport.bosses.size} bosses imported` });
+        await interaction.update({ content: `✅ Imported ${pendingImport.bosses.size} bosses.`, components: [] });
+        return;
+    }
+
+    if (interaction.customId.startsWith('loot_')) {
+        if (await denyWithoutPermission(interaction, 'tracker')) return;
+        const lootParts = interaction.customId.split('_');
+        lootParts.shift();
+        const killTimestamp = parseInt(lootParts.shift(), 10);
+        const lootGuildId = lootParts.pop();
+        const lootBossKey = resolveBossKey(lootGuildId, lootParts.join('_'));
+        const boss = client.bossData.get(lootGuildId)?.get(lootBossKey);
+        if (!boss || lootGuildId !== interaction.guildId) {
+            return interaction.reply({ content: 'This boss no longer exists.', ephemeral: true });
+        }
+        await interaction.showModal(createLootModal(lootGuildId, lootBossKey, boss, killTimestamp));
+        return;
+    }
+
+    if (interaction.customId.startsWith('attend_')) {
+        if (await denyWithoutPermission(interaction, 'viewer')) return;
+        const session = client.attendanceSessions.get(interaction.customId.substring('attend_'.length));
+        if (!session) {
+            return interaction.reply({ content: 'This attendance check has closed.', ephemeral: true });
+        }
+        if (!creditAttendee(session, interaction.user.id, interaction.user.id)) {
+            return interaction.reply({ content: 'Your attendance is already recorded.', ephemeral: true });
+        }
+        await interaction.update(createAttendanceMessage(session));
+        return;
+    }
+
+    if (interaction.customId.startsWith('dmremind_')) {
+        if (await denyWithoutPermission(interaction, 'viewer')) return;
+        const reminderParts = interaction.customId.split('_');
+        reminderParts.shift();
+        const reminderGuildId = reminderParts.pop();
+        const reminderBossKey = resolveBossKey(reminderGuildId, reminderParts.join('_'));
+        const reminderBoss = client.bossData.get(reminderGuildId)?.get(reminderBossKey);
+
+        if (reminderGuildId !== interaction.guildId || !reminderBoss) {
+            return interaction.reply({ content: 'This boss is no longer tracked.', ephemeral: true });
+        }
+
+        // The button toggles: an enabled reminder is removed, anything else is (re-)enabled
+        const existing = getDmSubscription(reminderBoss, interaction.user.id);
+        if (existing && existing.enabled) {
+            removeDmSubscription(reminderGuildId, reminderBossKey, interaction.user.id);
+            return interaction.reply({ content: `You will no longer get DMs for **${formatBossName(reminderBoss)}**.`, ephemeral: true });
+        }
+        const subscription = setDmSubscription(reminderGuildId, reminderBossKey, interaction.user.id, existing ? existing.leadMinutes : DM_REMINDER_DEFAULT_LEAD_MINUTES);
+        return interaction.reply({ content: `I will DM you ${subscription.leadMinutes} minutes before **${formatBossName(reminderBoss)}** spawns. Use \`remind\` to change the lead time.`, ephemeral: true });
+    }
+
+    if (interaction.customId.startsWith('history_')) {
+        if (await denyWithoutPermission(interaction, 'viewer')) return;
+        const historyParts = interaction.customId.split('_');
+        historyParts.shift();
+        const page = parseInt(historyParts.shift(), 10);
+        const historyGuildId = historyParts.pop();
+        const historyBossKey = resolveBossKey(historyGuildId, historyParts.join('_'));
+        const historyBoss = client.bossData.get(historyGuildId)?.get(historyBossKey);
+
+        if (historyGuildId !== interaction.guildId || !historyBoss) {
+            return interaction.reply({ content: 'History for this boss is no longer available.', ephemeral: true });
+        }
+        await interaction.update(createHistoryMessage(historyGuildId, historyBossKey, historyBoss, page));
+        return;
+    }
+
     if (interaction.customId === 'server_restart_cancel') {
+        if (await denyWithoutPermission(interaction, 'admin')) return;
         await interaction.update({ content: 'Server restart sequence cancelled.', components: [] });
         return;
     }
@@ -625,13 +4998,16 @@ client.on('interactionCreate', async interaction => {
     const parts = interaction.customId.split('_');
     const action = parts.shift(); // First part is the action
     const guildIdFromId = parts.pop(); // Last part is the guildId
-    const bossKeyFromId = parts.join('_'); // Everything in the middle is the bossKey
+    const bossKeyFromId = resolveBossKey(guildIdFromId, parts.join('_')); // Everything in the middle is the bossKey
     
     if (guildIdFromId !== interaction.guildId) {
         console.warn(`Mismatched guildId in customId: ${guildIdFromId} vs interaction.guildId: ${interaction.guildId}`);
         return interaction.reply({ content: 'Server identification error.', ephemeral: true });
     }
 
+    // Killed / Missed / Did Not Appear change the timers
+    if (await denyWithoutPermission(interaction, 'tracker')) return;
+
     const guildBosses = client.bossData.get(interaction.guildId);
     if (!guildBosses) {
         return interaction.reply({ content: 'Boss data for this server not found.', ephemeral: true });
@@ -643,20 +5019,16 @@ client.on('interactionCreate', async interaction => {
         return interaction.reply({ content: `Information for boss ${bossKeyFromId} not found.`, ephemeral: true });
     }
 
-    const autoMissTimerKey = `${interaction.guildId}_${bossKeyFromId}_automiss`;
-    const autoMissTimer = client.activeTimers.get(autoMissTimerKey);
-    if (autoMissTimer) {
-        clearTimeout(autoMissTimer);
-        client.activeTimers.delete(autoMissTimerKey);
-        boss.autoMissJob = null; 
-    }
+    client.scheduler.cancel(bossJobId(interaction.guildId, bossKeyFromId, 'automiss'));
     
     if (interaction.message && interaction.message.components.length > 0) {
        await interaction.message.edit({ components: [] }).catch(console.error);
     }
 
     if (action === 'dead') {
-        updateBossAsKilled(interaction.guildId, bossKeyFromId, new Date().getTime(), interaction.channel, interaction);
+        const killTimestamp = new Date().getTime();
+        await updateBossAsKilled(interaction.guildId, bossKeyFromId, killTimestamp, interaction.channel, interaction);
+        await startAttendance(interaction.guildId, bossKeyFromId, killTimestamp, interaction.channel);
     } else if (action === 'miss' || action === 'notappeared') {
         // Both Missed and Did Not Appear now use the same logic
         await handleUnconfirmedSpawn(interaction, bossKeyFromId, action === 'miss' ? 'missed' : 'not appeared');
@@ -682,28 +5054,49 @@ function formatNextSpawn(boss) {
     return spawnTime;
 }
 
+// Who to ping for a boss notification: its role (or its tag's role), else @everyone if the guild allows it.
+function getNotificationMention(guildId, boss) {
+    const pingRoleId = getBossPingRoleId(guildId, boss);
+    if (pingRoleId) {
+        return { content: `<@&${pingRoleId}>`, allowedMentions: { roles: [pingRoleId] } };
+    }
+    if (getGuildSetting(guildId, 'allowEveryonePing')) {
+        return { content: '@everyone', allowedMentions: { parse: ['everyone'] } };
+    }
+    return { allowedMentions: { parse: [] } };
+}
+
 // NEW HELPER FUNCTION TO SEND SPAWN NOTIFICATION
-async function triggerSpawnNotification(guildId, bossKey) {
+// `spawnedWhileOffline` is set by the startup reconciliation for spawns the bot slept through;
+// `silent` posts without pinging anyone (a server up announces those spawns in its summary)
+async function triggerSpawnNotification(guildId, bossKey, { spawnedWhileOffline = false, silent = false } = {}) {
     const guildBosses = client.bossData.get(guildId);
     if (!guildBosses) return;
     const boss = guildBosses.get(bossKey);
     if (!boss) return;
+    emitWebhookEvent(guildId, 'spawn', bossKey, boss, { spawnedWhileOffline });
 
     try {
-        const notifyChannel = await client.channels.fetch(boss.notificationChannelId || boss.originalChannelId).catch(() => null);
+        const notifyChannel = await client.channels.fetch(getBossNotificationChannelId(guildId, boss)).catch(() => null);
         if (notifyChannel) {
             const spawnEmbed = new EmbedBuilder()
                 .setColor(0xFF4500) // OrangeRed
-                .setTitle(`🔥 ${boss.name} - SPAWNED!`)
+                .setTitle(`🔥 ${formatBossName(boss)} - SPAWNED!`)
                 .setDescription(`**Location:** ${boss.location}\nPlease report the status below.`)
+                .setFooter({ text: `Marked as missed automatically after ${getBossSetting(guildId, boss, 'autoMissTimeoutMinutes')} minutes without a report.` })
                 .setTimestamp();
 
             if (boss.isWindow) {
-                spawnEmbed.setTitle(`⏳ ${boss.name} - WINDOW OPEN!`);
+                spawnEmbed.setTitle(`⏳ ${formatBossName(boss)} - WINDOW OPEN!`);
                 if (boss.nextSpawnEstimateMax) {
                     spawnEmbed.addFields({ name: 'Window Ends', value: `<t:${Math.floor(new Date(boss.nextSpawnEstimateMax).getTime() / 1000)}:R>` });
                 }
             }
+            if (spawnedWhileOffline) {
+                spawnEmbed
+                    .setTitle(`📴 ${formatBossName(boss)} - ${boss.isWindow ? 'WINDOW OPENED' : 'SPAWNED'} WHILE I WAS OFFLINE!`)
+                    .setDescription(`**Location:** ${boss.location}\nExpected <t:${Math.floor(boss.nextSpawnEstimateMin / 1000)}:R>, while the bot was offline. Please report the status below.`);
+            }
 
             const row = new ActionRowBuilder()
                 .addComponents(
@@ -725,7 +5118,7 @@ async function triggerSpawnNotification(guildId, bossKey) {
                 );
 
             const sentMessage = await notifyChannel.send({
-                content: '@everyone', // Pinging everyone
+                ...(silent ? { allowedMentions: { parse: [] } } : getNotificationMention(guildId, boss)),
                 embeds: [spawnEmbed],
                 components: [row]
             });
@@ -737,12 +5130,20 @@ async function triggerSpawnNotification(guildId, bossKey) {
                 saveBossData(); 
             }
         } else {
-             console.warn(`Spawn: Could not find channel for boss ${boss.name} (${boss.notificationChannelId || boss.originalChannelId})`);
+             console.warn(`Spawn: Could not find channel for boss ${formatBossName(boss)} (${getBossNotificationChannelId(guildId, boss)})`);
         }
     } catch (e) { console.error("Error sending spawn notification:", e); }
 }
 
 
+function bossJobId(guildId, bossKey, type) {
+    return `${guildId}_${bossKey}_${type}`;
+}
+
+function scheduleBossJob(guildId, bossKey, type, runAt, handler) {
+    return client.scheduler.schedule(bossJobId(guildId, bossKey, type), runAt, handler, { type, data: { guildId, bossKey } });
+}
+
 function scheduleBossNotifications(guildId, bossKey) {
     const guildBosses = client.bossData.get(guildId);
     if (!guildBosses) return;
@@ -750,26 +5151,27 @@ function scheduleBossNotifications(guildId, bossKey) {
     if (!boss || !boss.nextSpawnEstimateMin) return;
 
     const now = new Date().getTime();
-    const preSpawnTime = boss.nextSpawnEstimateMin - PRE_SPAWN_NOTIFICATION_MINUTES * 60 * 1000;
+    const preSpawnMinutes = getBossSetting(guildId, boss, 'preSpawnNotificationMinutes');
+    const preSpawnTime = boss.nextSpawnEstimateMin - preSpawnMinutes * 60 * 1000;
     const spawnTime = boss.nextSpawnEstimateMin;
 
     clearBossTimers(guildId, bossKey); 
+    // No notifications while the game server is down; the spawn is recomputed when it is up again
+    if (isUnderMaintenance(guildId)) return;
 
     if (preSpawnTime > now) {
-        const delay = preSpawnTime - now;
-        const timerKey = `${guildId}_${bossKey}_pre`;
-        
-        const timer = setTimeout(async () => {
+        scheduleBossJob(guildId, bossKey, 'pre', preSpawnTime, async () => {
             try {
                 const currentBossData = client.bossData.get(guildId)?.get(bossKey); 
-                if (!currentBossData || currentBossData.notificationJob !== timerKey) return; 
+                if (!currentBossData) return; 
+                emitWebhookEvent(guildId, 'pre_spawn', bossKey, currentBossData, { minutesBefore: preSpawnMinutes });
 
-                const notifyChannel = await client.channels.fetch(currentBossData.notificationChannelId || currentBossData.originalChannelId).catch(() => null);
+                const notifyChannel = await client.channels.fetch(getBossNotificationChannelId(guildId, currentBossData)).catch(() => null);
                 if (notifyChannel) {
                     const preSpawnEmbed = new EmbedBuilder()
                         .setColor(0xFFFF00) // Yellow
-                        .setTitle(`🔔 ${currentBossData.name} - Spawning Soon!`)
-                        .setDescription(`**Location:** ${currentBossData.location}`)
+                        .setTitle(`🔔 ${formatBossName(currentBossData)} - Spawning Soon!`)
+                        .setDescription(`**Location:** ${currentBossData.location}\nSpawning in about ${preSpawnMinutes} minutes.`)
                         .addFields(
                             { name: 'Expected Time', value: `${formatNextSpawn(currentBossData)}` }
                         )
@@ -779,69 +5181,94 @@ function scheduleBossNotifications(guildId, bossKey) {
                         preSpawnEmbed.setFooter({ text: 'This is the start of the respawn window.' });
                     }
                     
-                    await notifyChannel.send({ content: '@everyone', embeds: [preSpawnEmbed] });
+                    await notifyChannel.send({ ...getNotificationMention(guildId, currentBossData), embeds: [preSpawnEmbed] });
 
                 } else {
-                    console.warn(`Pre-spawn: Could not find channel for boss ${currentBossData.name} (${currentBossData.notificationChannelId || currentBossData.originalChannelId})`);
+                    console.warn(`Pre-spawn: Could not find channel for boss ${formatBossName(currentBossData)} (${getBossNotificationChannelId(guildId, currentBossData)})`);
                 }
             } catch (e) { console.error("Error sending pre-spawn notification:", e); }
-            client.activeTimers.delete(timerKey);
-            const bossRef = client.bossData.get(guildId)?.get(bossKey); 
-            if (bossRef) bossRef.notificationJob = null;
-        }, delay);
-        client.activeTimers.set(timerKey, timer);
-        boss.notificationJob = timerKey; 
+        });
     }
 
     if (spawnTime > now) {
-        const delay = spawnTime - now;
-        const timerKey = `${guildId}_${bossKey}_spawn`;
-        
-        const timer = setTimeout(async () => {
-            const currentBossData = client.bossData.get(guildId)?.get(bossKey); 
-            if (!currentBossData || currentBossData.spawnNotificationJob !== timerKey) return; 
-
-            await triggerSpawnNotification(guildId, bossKey);
-            
-            client.activeTimers.delete(timerKey);
-            const bossRef = client.bossData.get(guildId)?.get(bossKey);
-            if (bossRef) {
-                 bossRef.spawnNotificationJob = null;
-            }
-        }, delay);
-        client.activeTimers.set(timerKey, timer);
-        boss.spawnNotificationJob = timerKey; 
+        scheduleBossJob(guildId, bossKey, 'spawn', spawnTime, () => triggerSpawnNotification(guildId, bossKey));
     }
+
+    scheduleDmReminders(guildId, bossKey);
 }
 
-function scheduleAutoMissTimer(guildId, bossKey, originalMessageId, channelIdForAutoMissMessage) {
-    const autoMissDelay = AUTO_MISS_TIMEOUT_MINUTES * 60 * 1000;
-    const timerKey = `${guildId}_${bossKey}_automiss`;
+function scheduleDmReminders(guildId, bossKey) {
+    const boss = client.bossData.get(guildId)?.get(bossKey);
+    if (!boss || !boss.nextSpawnEstimateMin) return;
+
+    const now = new Date().getTime();
+    boss.dmSubscriptions.forEach(subscription => {
+        if (!subscription.enabled) return;
+        const reminderTime = boss.nextSpawnEstimateMin - subscription.leadMinutes * 60 * 1000;
+        if (reminderTime <= now) return;
+
+        scheduleBossJob(guildId, bossKey, `dm_${subscription.userId}`, reminderTime, async () => {
+            const currentBossData = client.bossData.get(guildId)?.get(bossKey);
+            const currentSubscription = currentBossData && getDmSubscription(currentBossData, subscription.userId);
+            if (!currentSubscription || !currentSubscription.enabled) return;
+            await sendDmReminder(guildId, bossKey, currentBossData, currentSubscription);
+        });
+    });
+}
+
+function clearDmReminderTimer(guildId, bossKey, userId) {
+    client.scheduler.cancel(bossJobId(guildId, bossKey, `dm_${userId}`));
+}
+
+async function sendDmReminder(guildId, bossKey, boss, subscription) {
+    const guild = client.guilds.cache.get(guildId);
+    const reminderEmbed = new EmbedBuilder()
+        .setColor(0xFFFF00) // Yellow
+        .setTitle(`🔔 ${formatBossName(boss)} - Spawning Soon!`)
+        .setDescription(`**Location:** ${boss.location}${guild ? `\n**Server:** ${guild.name}` : ''}`)
+        .addFields({ name: 'Expected Time', value: formatNextSpawn(boss) })
+        .setFooter({ text: `Your reminder: ${subscription.leadMinutes} minutes before spawn` })
+        .setTimestamp();
+
+    try {
+        const user = await client.users.fetch(subscription.userId);
+        await user.send({ embeds: [reminderEmbed] });
+    } catch (error) {
+        // 50007: Cannot send messages to this user (DMs closed or bot blocked)
+        if (error.code !== 50007) {
+            console.error(`Error sending DM reminder for ${formatBossName(boss)} to ${subscription.userId}:`, error);
+            return;
+        }
+        subscription.enabled = false;
+        saveBossData();
 
-    const existingTimer = client.activeTimers.get(timerKey);
-    if (existingTimer) {
-        clearTimeout(existingTimer);
-        client.activeTimers.delete(timerKey);
+        const notifyChannel = await client.channels.fetch(getBossNotificationChannelId(guildId, boss)).catch(() => null);
+        if (notifyChannel) {
+            await notifyChannel.send({
+                content: `<@${subscription.userId}> I couldn't send you a direct message about **${formatBossName(boss)}**, so your reminder has been disabled. Open your DMs for this server and use \`remind\` to turn it back on.`,
+                allowedMentions: { users: [subscription.userId] }
+            }).catch(console.error);
+        }
     }
-    
+}
+
+function scheduleAutoMissTimer(guildId, bossKey, originalMessageId, channelIdForAutoMissMessage) {
     const bossDataRef = client.bossData.get(guildId)?.get(bossKey);
     if (!bossDataRef) {
         console.warn(`AutoMiss: Boss ${bossKey} not found in guild ${guildId} when scheduling.`);
         return; 
     }
+    const autoMissDelay = getBossSetting(guildId, bossDataRef, 'autoMissTimeoutMinutes') * 60 * 1000;
 
-    const timer = setTimeout(async () => {
+    scheduleBossJob(guildId, bossKey, 'automiss', Date.now() + autoMissDelay, async () => {
         try {
             const currentBossData = client.bossData.get(guildId)?.get(bossKey); 
-            if (!currentBossData || currentBossData.autoMissJob !== timerKey || currentBossData.messageIdToTrack !== originalMessageId) {
-                client.activeTimers.delete(timerKey); 
-                return;
-            }
+            if (!currentBossData || currentBossData.messageIdToTrack !== originalMessageId) return;
 
-            console.log(`Auto-missing boss ${currentBossData.name} (${bossKey}) for guild ${guildId}`);
+            console.log(`Auto-missing boss ${formatBossName(currentBossData)} (${bossKey}) for guild ${guildId}`);
 
             try {
-                const notifyChannel = await client.channels.fetch(currentBossData.notificationChannelId || currentBossData.originalChannelId).catch(() => null);
+                const notifyChannel = await client.channels.fetch(getBossNotificationChannelId(guildId, currentBossData)).catch(() => null);
                 if (notifyChannel && currentBossData.messageIdToTrack) { 
                     const trackedMessage = await notifyChannel.messages.fetch(currentBossData.messageIdToTrack).catch(() => null);
                     if (trackedMessage && trackedMessage.components.length > 0) {
@@ -862,41 +5289,13 @@ function scheduleAutoMissTimer(guildId, bossKey, originalMessageId, channelIdFor
 
         } catch (e) {
             console.error(`Error in auto-miss timer for boss ${bossKey}:`, e);
-        } finally {
-            client.activeTimers.delete(timerKey); 
-            const bossRef = client.bossData.get(guildId)?.get(bossKey);
-            if (bossRef && bossRef.autoMissJob === timerKey) { 
-                bossRef.autoMissJob = null;
-            }
         }
-    }, autoMissDelay);
-
-    client.activeTimers.set(timerKey, timer);
-    bossDataRef.autoMissJob = timerKey; 
-    saveBossData(); 
+    });
 }
 
 
 function clearBossTimers(guildId, bossKey) {
-    const types = ['pre', 'spawn', 'automiss'];
-    types.forEach(type => {
-        const timerKey = `${guildId}_${bossKey}_${type}`;
-        const timer = client.activeTimers.get(timerKey);
-        if (timer) {
-            clearTimeout(timer);
-            client.activeTimers.delete(timerKey);
-        }
-    });
-    
-    const guildBosses = client.bossData.get(guildId);
-    if (guildBosses) {
-        const boss = guildBosses.get(bossKey);
-        if (boss) {
-            boss.notificationJob = null;
-            boss.spawnNotificationJob = null;
-            boss.autoMissJob = null;
-        }
-    }
+    client.scheduler.cancelWhere(job => job.guildId === guildId && job.bossKey === bossKey);
 }
 
 client.login(BOT_TOKEN)
@@ -910,6 +5309,15 @@ client.login(BOT_TOKEN)
         process.exit(1);
     });
 
+// Write any pending saves before the process is stopped (e.g. on redeploy)
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+        console.log(`Received ${signal}, saving data before exit...`);
+        flushAllStores();
+        process.exit(0);
+    });
+});
+
 process.on('unhandledRejection', error => {
     console.error('Unhandled promise rejection:', error);
 });
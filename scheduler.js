@@ -0,0 +1,141 @@
+// One scheduler for every timed job the bot runs (pre-spawn and spawn notifications, auto-miss,
+// DM reminders, dashboard edits, ...).
+//
+// Jobs are kept in a queue ordered by run time and only the earliest one has a real timer, so any
+// number of jobs costs a single timeout. Run times can be arbitrarily far away: timeouts longer
+// than setTimeout allows (about 24.8 days) are split into shorter waits. Each job has a unique id;
+// scheduling an id that already exists replaces the old job. The clock can be injected for tests.
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+const systemClock = {
+    now: () => Date.now(),
+    setTimer: (callback, delay) => setTimeout(callback, delay),
+    clearTimer: handle => clearTimeout(handle),
+};
+
+function createScheduler({ clock = systemClock, onError = defaultErrorHandler } = {}) {
+    const queue = []; // Sorted by runAt; jobs due at the same time keep the order they were scheduled in
+    let timer = null;
+    let timerRunAt = null;
+
+    function findIndex(id) {
+        return queue.findIndex(job => job.id === id);
+    }
+
+    function insert(job) {
+        let low = 0;
+        let high = queue.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (queue[middle].runAt <= job.runAt) low = middle + 1;
+            else high = middle;
+        }
+        queue.splice(low, 0, job);
+    }
+
+    function arm() {
+        const next = queue[0];
+        if (timer && (!next || timerRunAt !== next.runAt)) {
+            clock.clearTimer(timer);
+            timer = null;
+            timerRunAt = null;
+        }
+        if (!next || timer) return;
+
+        timerRunAt = next.runAt;
+        timer = clock.setTimer(() => {
+            timer = null;
+            timerRunAt = null;
+            runDueJobs();
+        }, Math.min(Math.max(0, next.runAt - clock.now()), MAX_TIMEOUT_MS));
+    }
+
+    function runDueJobs() {
+        const now = clock.now();
+        while (queue.length > 0 && queue[0].runAt <= now) {
+            // Removed before running, so a handler can schedule a job with its own id again
+            const job = queue.shift();
+            Promise.resolve()
+                .then(() => job.handler(describe(job)))
+                .catch(error => onError(error, describe(job)));
+        }
+        arm();
+    }
+
+    function describe(job) {
+        return { id: job.id, type: job.type, runAt: job.runAt, ...job.data };
+    }
+
+    return {
+        // Schedules handler(job) to run at `runAt` (ms timestamp). `type` and `data` describe the
+        // job for list() and cancelWhere(); data fields are copied onto the job description.
+        schedule(id, runAt, handler, { type = null, data = {} } = {}) {
+            const existing = findIndex(id);
+            if (existing !== -1) queue.splice(existing, 1);
+            insert({ id, runAt, handler, type, data });
+            arm();
+            return id;
+        },
+
+        cancel(id) {
+            const index = findIndex(id);
+            if (index === -1) return false;
+            queue.splice(index, 1);
+            arm();
+            return true;
+        },
+
+        // Cancels every job the predicate accepts; returns how many were cancelled
+        cancelWhere(predicate) {
+            let cancelled = 0;
+            for (let index = queue.length - 1; index >= 0; index--) {
+                if (predicate(describe(queue[index]))) {
+                    queue.splice(index, 1);
+                    cancelled++;
+                }
+            }
+            if (cancelled > 0) arm();
+            return cancelled;
+        },
+
+        // Moves an existing job to a new time; returns false if there is no such job
+        reschedule(id, runAt) {
+            const index = findIndex(id);
+            if (index === -1) return false;
+            const [job] = queue.splice(index, 1);
+            job.runAt = runAt;
+            insert(job);
+            arm();
+            return true;
+        },
+
+        has(id) {
+            return findIndex(id) !== -1;
+        },
+
+        get(id) {
+            const index = findIndex(id);
+            return index === -1 ? null : describe(queue[index]);
+        },
+
+        // Scheduled jobs in run order, optionally filtered
+        list(predicate = () => true) {
+            return queue.map(describe).filter(predicate);
+        },
+
+        // Cancels everything (used on shutdown)
+        stop() {
+            queue.length = 0;
+            arm();
+        },
+    };
+}
+
+function defaultErrorHandler(error, job) {
+    console.error(`Scheduler: job ${job.id} failed:`, error);
+}
+
+module.exports = {
+    createScheduler,
+    MAX_TIMEOUT_MS,
+};
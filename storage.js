@@ -0,0 +1,252 @@
+// Persistent storage for the bot's JSON documents (boss data, guild settings).
+//
+// Saves are coalesced: a burst of save() calls results in a single write after a short delay,
+// always of the latest state. The default "json" backend writes to a temp file and renames it
+// over the original, so a crash mid-write never leaves a half-written file, and keeps rotating
+// backups that are used when the main file turns out to be corrupt. Set STORAGE_BACKEND=sqlite
+// to keep the documents in an SQLite database instead (requires Node.js 22.5+ for node:sqlite).
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DEBOUNCE_MS = 2000;
+const DEFAULT_BACKUP_COUNT = 5;
+const DEFAULT_BACKUP_INTERVAL_MS = 60 * 60 * 1000; // At most one new backup per hour
+
+const stores = [];
+
+// --- JSON file backend ---
+
+function createJsonFileBackend(filePath, { backupCount, backupIntervalMs }) {
+    const backupPath = index => `${filePath}.bak.${index}`;
+
+    function readFile(file) {
+        if (!fs.existsSync(file)) return { exists: false };
+        try {
+            return { exists: true, data: JSON.parse(fs.readFileSync(file, 'utf8')) };
+        } catch (error) {
+            return { exists: true, error: error };
+        }
+    }
+
+    function rotateBackups() {
+        if (!fs.existsSync(filePath) || backupCount < 1) return;
+        const newest = backupPath(1);
+        if (fs.existsSync(newest) && Date.now() - fs.statSync(newest).mtimeMs < backupIntervalMs) return;
+        if (readFile(filePath).error) return; // Never rotate a corrupt file into the backups
+
+        for (let index = backupCount; index > 1; index--) {
+            if (fs.existsSync(backupPath(index - 1))) {
+                fs.renameSync(backupPath(index - 1), backupPath(index));
+            }
+        }
+        fs.copyFileSync(filePath, newest);
+    }
+
+    return {
+        description: filePath,
+
+        read() {
+            const main = readFile(filePath);
+            if (main.exists && !main.error) return main.data;
+            if (!main.exists && !fs.existsSync(backupPath(1))) return null;
+
+            if (main.error) {
+                console.error(`Storage: ${filePath} is corrupt (${main.error.message}). Looking for a backup...`);
+            }
+            for (let index = 1; index <= backupCount; index++) {
+                const backup = readFile(backupPath(index));
+                if (backup.exists && !backup.error) {
+                    console.warn(`Storage: restored ${filePath} from backup ${backupPath(index)}.`);
+                    return backup.data;
+                }
+            }
+
+            // Keep the unreadable file for manual recovery instead of overwriting it on the next save
+            if (main.exists) {
+                const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+                fs.renameSync(filePath, corruptPath);
+                console.error(`Storage: no valid backup of ${filePath} found. The corrupt file was moved to ${corruptPath}.`);
+            }
+            return null;
+        },
+
+        write(serialized) {
+            rotateBackups();
+            const tempPath = `${filePath}.tmp`;
+            const fd = fs.openSync(tempPath, 'w');
+            try {
+                fs.writeSync(fd, serialized);
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+            fs.renameSync(tempPath, filePath);
+        },
+    };
+}
+
+// --- SQLite backend ---
+
+const sqliteDatabases = new Map();
+
+function openSqliteDatabase(databasePath) {
+    if (sqliteDatabases.has(databasePath)) return sqliteDatabases.get(databasePath);
+
+    let DatabaseSync;
+    try {
+        ({ DatabaseSync } = require('node:sqlite'));
+    } catch (error) {
+        throw new Error(`STORAGE_BACKEND=sqlite requires Node.js 22.5 or newer with node:sqlite (running ${process.version}).`);
+    }
+
+    const db = new DatabaseSync(databasePath);
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS documents (
+            name TEXT PRIMARY KEY,
+            data TEXT NOT NULL,
+            saved_at INTEGER NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS document_backups (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            data TEXT NOT NULL,
+            saved_at INTEGER NOT NULL
+        );
+    `);
+    sqliteDatabases.set(databasePath, db);
+    return db;
+}
+
+function createSqliteBackend(databasePath, name, legacyFilePath, { backupCount, backupIntervalMs }) {
+    const db = openSqliteDatabase(databasePath);
+    const selectDocument = db.prepare('SELECT data, saved_at FROM documents WHERE name = ?');
+    const upsertDocument = db.prepare('INSERT INTO documents (name, data, saved_at) VALUES (?, ?, ?) ON CONFLICT(name) DO UPDATE SET data = excluded.data, saved_at = excluded.saved_at');
+    const selectBackups = db.prepare('SELECT data, saved_at FROM document_backups WHERE name = ? ORDER BY id DESC');
+    const selectLatestBackupTime = db.prepare('SELECT MAX(saved_at) AS saved_at FROM document_backups WHERE name = ?');
+    const insertBackup = db.prepare('INSERT INTO document_backups (name, data, saved_at) VALUES (?, ?, ?)');
+    const pruneBackups = db.prepare('DELETE FROM document_backups WHERE name = ? AND id NOT IN (SELECT id FROM document_backups WHERE name = ? ORDER BY id DESC LIMIT ?)');
+
+    return {
+        description: `${databasePath} (${name})`,
+
+        read() {
+            const row = selectDocument.get(name);
+            if (!row) {
+                // First start on SQLite: pick up the existing JSON file once
+                if (legacyFilePath && fs.existsSync(legacyFilePath)) {
+                    console.log(`Storage: importing ${legacyFilePath} into ${databasePath}.`);
+                    return createJsonFileBackend(legacyFilePath, { backupCount: 0, backupIntervalMs }).read();
+                }
+                return null;
+            }
+            try {
+                return JSON.parse(row.data);
+            } catch (error) {
+                console.error(`Storage: document ${name} in ${databasePath} is corrupt (${error.message}). Looking for a backup...`);
+            }
+            for (const backup of selectBackups.all(name)) {
+                try {
+                    const data = JSON.parse(backup.data);
+                    console.warn(`Storage: restored ${name} from the backup of ${new Date(backup.saved_at).toISOString()}.`);
+                    return data;
+                } catch (error) {
+                    // Try the next older backup
+                }
+            }
+            console.error(`Storage: no valid backup of ${name} found.`);
+            return null;
+        },
+
+        write(serialized) {
+            const now = Date.now();
+            db.exec('BEGIN');
+            try {
+                const current = selectDocument.get(name);
+                const latestBackup = selectLatestBackupTime.get(name);
+                if (current && backupCount > 0 && (!latestBackup.saved_at || now - latestBackup.saved_at >= backupIntervalMs)) {
+                    insertBackup.run(name, current.data, now);
+                    pruneBackups.run(name, name, backupCount);
+                }
+                upsertDocument.run(name, serialized, now);
+                db.exec('COMMIT');
+            } catch (error) {
+                db.exec('ROLLBACK');
+                throw error;
+            }
+        },
+    };
+}
+
+// --- Stores ---
+
+// Creates a named document store. `filePath` is the JSON file (also used to migrate to SQLite).
+// save(getData) schedules a write; getData is called when the write happens, so it always
+// captures the latest state no matter how many saves were requested in between.
+function createStore(name, filePath, options = {}) {
+    const settings = {
+        backend: (options.backend || process.env.STORAGE_BACKEND || 'json').toLowerCase(),
+        debounceMs: options.debounceMs ?? DEFAULT_DEBOUNCE_MS,
+        backupCount: options.backupCount ?? parseInt(process.env.STORAGE_BACKUP_COUNT || DEFAULT_BACKUP_COUNT, 10),
+        backupIntervalMs: options.backupIntervalMs ?? DEFAULT_BACKUP_INTERVAL_MS,
+    };
+
+    let backend;
+    if (settings.backend === 'sqlite') {
+        const databasePath = process.env.SQLITE_PATH || path.join(path.dirname(filePath), 'boss_tracker.db');
+        backend = createSqliteBackend(databasePath, name, filePath, settings);
+    } else if (settings.backend === 'json') {
+        backend = createJsonFileBackend(filePath, settings);
+    } else {
+        throw new Error(`Unknown STORAGE_BACKEND "${settings.backend}". Use "json" or "sqlite".`);
+    }
+
+    let pendingGetData = null;
+    let timer = null;
+
+    const store = {
+        name: name,
+
+        load() {
+            return backend.read();
+        },
+
+        save(getData) {
+            pendingGetData = getData;
+            if (!timer) {
+                timer = setTimeout(() => store.flush(), settings.debounceMs);
+            }
+        },
+
+        // Writes a pending save immediately (used on shutdown)
+        flush() {
+            if (timer) {
+                clearTimeout(timer);
+                timer = null;
+            }
+            if (!pendingGetData) return;
+            const getData = pendingGetData;
+            pendingGetData = null;
+
+            try {
+                backend.write(JSON.stringify(getData(), null, 4));
+                console.log(`Storage: ${name} saved to ${backend.description}.`);
+            } catch (error) {
+                console.error(`Storage: failed to save ${name}:`, error);
+                // Keep the data pending so the next save or flush retries it
+                if (!pendingGetData) pendingGetData = getData;
+            }
+        },
+    };
+
+    stores.push(store);
+    return store;
+}
+
+function flushAllStores() {
+    stores.forEach(store => store.flush());
+}
+
+module.exports = {
+    createStore,
+    flushAllStores,
+};
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildCalendar } = require('../calendar');
+
+const NOW = Date.UTC(2026, 9, 19, 10, 0);
+
+function unfold(text) {
+    return text.replace(/\r\n /g, '');
+}
+
+test('builds a calendar of timed UTC events with reminders', () => {
+    const text = buildCalendar({
+        name: 'Boss spawns',
+        now: NOW,
+        events: [
+            { uid: 'kuka-1@example', start: Date.UTC(2026, 9, 19, 17, 45), end: Date.UTC(2026, 9, 19, 19, 45), summary: 'Kuka', location: 'Swamp', alarmMinutes: 10 },
+            { uid: 'orfen-1@example', start: Date.UTC(2026, 9, 20, 21, 0), end: Date.UTC(2026, 9, 20, 21, 0), summary: 'Orfen' },
+        ],
+    });
+
+    assert.ok(text.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+    assert.ok(text.endsWith('END:VCALENDAR\r\n'));
+    assert.strictEqual(text.match(/BEGIN:VEVENT/g).length, 2);
+    assert.strictEqual(text.match(/BEGIN:VALARM/g).length, 1);
+    assert.match(text, /\r\nDTSTAMP:20261019T100000Z\r\n/);
+    assert.match(text, /\r\nDTSTART:20261019T174500Z\r\nDTEND:20261019T194500Z\r\nSUMMARY:Kuka\r\nLOCATION:Swamp\r\n/);
+    assert.match(text, /\r\nTRIGGER:-PT10M\r\n/);
+});
+
+test('never ends an event before it starts', () => {
+    const start = Date.UTC(2026, 9, 19, 17, 45);
+    const text = buildCalendar({ name: 'x', now: NOW, events: [{ uid: 'a', start, end: start - 1000, summary: 'a' }] });
+    assert.match(text, /\r\nDTEND:20261019T174500Z\r\n/);
+});
+
+test('escapes text and folds long lines at 75 octets', () => {
+    const summary = 'Queen Ant; Cruma, Tower\\3F\n' + 'Ω'.repeat(60);
+    const text = buildCalendar({ name: 'x', now: NOW, events: [{ uid: 'a', start: NOW, end: NOW, summary }] });
+
+    for (const line of text.split('\r\n')) {
+        assert.ok(Buffer.byteLength(line, 'utf8') <= 75, `line too long: ${line}`);
+    }
+    const summaryLine = unfold(text).split('\r\n').find(line => line.startsWith('SUMMARY:'));
+    assert.strictEqual(summaryLine, `SUMMARY:Queen Ant\\; Cruma\\, Tower\\\\3F\\n${'Ω'.repeat(60)}`);
+});
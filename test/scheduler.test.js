@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createScheduler, MAX_TIMEOUT_MS } = require('../scheduler');
+
+// A clock whose time only moves when the test advances it; timers fire in run-time order
+function createFakeClock(start = 0) {
+    let now = start;
+    let nextHandle = 1;
+    const timers = new Map();
+
+    return {
+        timers,
+        now: () => now,
+        setTimer(callback, delay) {
+            const handle = nextHandle++;
+            timers.set(handle, { callback, runAt: now + delay, delay });
+            return handle;
+        },
+        clearTimer(handle) {
+            timers.delete(handle);
+        },
+        // Moves time forward by `ms`, firing every timer that comes due on the way
+        async advance(ms) {
+            const target = now + ms;
+            for (;;) {
+                const [handle, timer] = [...timers].sort((a, b) => a[1].runAt - b[1].runAt)[0] || [];
+                if (!timer || timer.runAt > target) break;
+                timers.delete(handle);
+                now = timer.runAt;
+                timer.callback();
+                await new Promise(resolve => setImmediate(resolve));
+            }
+            now = target;
+        },
+    };
+}
+
+test('runs jobs in run-time order, keeping the scheduling order for equal times', async () => {
+    const clock = createFakeClock();
+    const scheduler = createScheduler({ clock });
+    const ran = [];
+    scheduler.schedule('c', 300, job => ran.push(job.id));
+    scheduler.schedule('a', 100, job => ran.push(job.id));
+    scheduler.schedule('b1', 200, job => ran.push(job.id));
+    scheduler.schedule('b2', 200, job => ran.push(job.id));
+
+    assert.deepStrictEqual(scheduler.list().map(job => job.id), ['a', 'b1', 'b2', 'c']);
+    assert.strictEqual(clock.timers.size, 1);
+
+    await clock.advance(250);
+    assert.deepStrictEqual(ran, ['a', 'b1', 'b2']);
+    await clock.advance(50);
+    assert.deepStrictEqual(ran, ['a', 'b1', 'b2', 'c']);
+    assert.strictEqual(clock.timers.size, 0);
+});
+
+test('scheduling an existing id replaces the job', async () => {
+    const clock = createFakeClock();
+    const scheduler = createScheduler({ clock });
+    const ran = [];
+    scheduler.schedule('job', 100, () => ran.push('old'));
+    scheduler.schedule('job', 200, () => ran.push('new'));
+
+    assert.strictEqual(scheduler.list().length, 1);
+    await clock.advance(200);
+    assert.deepStrictEqual(ran, ['new']);
+});
+
+test('splits waits longer than setTimeout allows', async () => {
+    const clock = createFakeClock();
+    const scheduler = createScheduler({ clock });
+    const runAt = 40 * 24 * 60 * 60 * 1000;
+    let ran = false;
+    scheduler.schedule('far', runAt, () => { ran = true; });
+
+    assert.strictEqual([...clock.timers.values()][0].delay, MAX_TIMEOUT_MS);
+    await clock.advance(MAX_TIMEOUT_MS);
+    assert.strictEqual(ran, false);
+    assert.strictEqual([...clock.timers.values()][0].delay, runAt - MAX_TIMEOUT_MS);
+    await clock.advance(runAt - MAX_TIMEOUT_MS);
+    assert.strictEqual(ran, true);
+});
+
+test('reschedule moves a job and re-arms the timer', async () => {
+    const clock = createFakeClock();
+    const scheduler = createScheduler({ clock });
+    const ran = [];
+    scheduler.schedule('a', 100, job => ran.push(`a@${job.runAt}`));
+    scheduler.schedule('b', 200, job => ran.push(`b@${job.runAt}`));
+
+    assert.strictEqual(scheduler.reschedule('a', 300), true);
+    assert.strictEqual(scheduler.reschedule('missing', 300), false);
+    assert.deepStrictEqual(scheduler.list().map(job => job.id), ['b', 'a']);
+
+    await clock.advance(150);
+    assert.deepStrictEqual(ran, []);
+    await clock.advance(150);
+    assert.deepStrictEqual(ran, ['b@200', 'a@300']);
+});
+
+test('cancel and cancelWhere remove jobs by id and by description', async () => {
+    const clock = createFakeClock();
+    const scheduler = createScheduler({ clock });
+    const ran = [];
+    const handler = job => ran.push(job.id);
+    scheduler.schedule('1_kuka_spawn', 100, handler, { type: 'spawn', data: { guildId: '1', bossKey: 'kuka' } });
+    scheduler.schedule('1_kuka_automiss', 200, handler, { type: 'automiss', data: { guildId: '1', bossKey: 'kuka' } });
+    scheduler.schedule('1_orfen_spawn', 150, handler, { type: 'spawn', data: { guildId: '1', bossKey: 'orfen' } });
+    scheduler.schedule('2_kuka_spawn', 120, handler, { type: 'spawn', data: { guildId: '2', bossKey: 'kuka' } });
+
+    assert.deepStrictEqual(scheduler.get('1_kuka_automiss'), { id: '1_kuka_automiss', type: 'automiss', runAt: 200, guildId: '1', bossKey: 'kuka' });
+    assert.strictEqual(scheduler.cancelWhere(job => job.guildId === '1' && job.bossKey === 'kuka'), 2);
+    assert.strictEqual(scheduler.cancel('2_kuka_spawn'), true);
+    assert.strictEqual(scheduler.cancel('2_kuka_spawn'), false);
+    assert.strictEqual(scheduler.has('1_orfen_spawn'), true);
+
+    await clock.advance(1000);
+    assert.deepStrictEqual(ran, ['1_orfen_spawn']);
+});
+
+test('a failing job is reported and does not stop the others', async () => {
+    const clock = createFakeClock();
+    const errors = [];
+    const scheduler = createScheduler({ clock, onError: (error, job) => errors.push(`${job.id}: ${error.message}`) });
+    const ran = [];
+    scheduler.schedule('bad', 100, () => { throw new Error('boom'); });
+    scheduler.schedule('good', 100, job => ran.push(job.id));
+
+    await clock.advance(100);
+    assert.deepStrictEqual(ran, ['good']);
+    assert.deepStrictEqual(errors, ['bad: boom']);
+});
+
+test('stop cancels every job and the timer', () => {
+    const clock = createFakeClock();
+    const scheduler = createScheduler({ clock });
+    scheduler.schedule('a', 100, () => {});
+    scheduler.schedule('b', 200, () => {});
+
+    scheduler.stop();
+    assert.strictEqual(scheduler.list().length, 0);
+    assert.strictEqual(clock.timers.size, 0);
+});
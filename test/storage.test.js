@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../storage');
+
+function createTempFile(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return path.join(directory, 'data.json');
+}
+
+function createTestStore(filePath) {
+    return createStore('test', filePath, { backend: 'json', debounceMs: 0, backupCount: 3, backupIntervalMs: 60 * 60 * 1000 });
+}
+
+// Saves each version in turn, an hour apart as far as backup rotation can tell
+function saveVersions(store, filePath, versions) {
+    for (const version of versions) {
+        if (fs.existsSync(`${filePath}.bak.1`)) {
+            const anHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+            fs.utimesSync(`${filePath}.bak.1`, anHourAgo, anHourAgo);
+        }
+        store.save(() => ({ version }));
+        store.flush();
+    }
+}
+
+function quietConsole(t) {
+    for (const method of ['log', 'warn', 'error']) t.mock.method(console, method, () => {});
+}
+
+test('saves are written atomically and read back', t => {
+    quietConsole(t);
+    const filePath = createTempFile(t);
+    const store = createTestStore(filePath);
+
+    assert.strictEqual(store.load(), null);
+    store.save(() => ({ version: 1 }));
+    store.save(() => ({ version: 2 }));
+    store.flush();
+
+    assert.deepStrictEqual(createTestStore(filePath).load(), { version: 2 });
+    assert.strictEqual(fs.existsSync(`${filePath}.tmp`), false);
+});
+
+test('rotates the previous file into the backups', t => {
+    quietConsole(t);
+    const filePath = createTempFile(t);
+    const store = createTestStore(filePath);
+
+    saveVersions(store, filePath, [1, 2, 3]);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(`${filePath}.bak.1`, 'utf8')), { version: 2 });
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(`${filePath}.bak.2`, 'utf8')), { version: 1 });
+});
+
+test('keeps at most one new backup per interval', t => {
+    quietConsole(t);
+    const filePath = createTempFile(t);
+    const store = createTestStore(filePath);
+
+    for (const version of [1, 2, 3]) {
+        store.save(() => ({ version }));
+        store.flush();
+    }
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(`${filePath}.bak.1`, 'utf8')), { version: 1 });
+    assert.strictEqual(fs.existsSync(`${filePath}.bak.2`), false);
+});
+
+test('falls back to the newest valid backup when the main file is corrupt', t => {
+    quietConsole(t);
+    const filePath = createTempFile(t);
+    const store = createTestStore(filePath);
+    saveVersions(store, filePath, [1, 2, 3]);
+
+    fs.writeFileSync(filePath, '{"version": 3');
+    assert.deepStrictEqual(createTestStore(filePath).load(), { version: 2 });
+    fs.writeFileSync(`${filePath}.bak.1`, '');
+    assert.deepStrictEqual(createTestStore(filePath).load(), { version: 1 });
+});
+
+test('keeps a corrupt file aside when there is no valid backup', t => {
+    quietConsole(t);
+    const filePath = createTempFile(t);
+    fs.writeFileSync(filePath, 'not json');
+
+    assert.strictEqual(createTestStore(filePath).load(), null);
+    assert.strictEqual(fs.existsSync(filePath), false);
+    const kept = fs.readdirSync(path.dirname(filePath)).filter(name => name.startsWith('data.json.corrupt-'));
+    assert.strictEqual(kept.length, 1);
+    assert.strictEqual(fs.readFileSync(path.join(path.dirname(filePath), kept[0]), 'utf8'), 'not json');
+});
+
+// node:sqlite exists from Node.js 22.5 (behind --experimental-sqlite before 22.13)
+const hasSqlite = (() => {
+    try {
+        require('node:sqlite');
+        return true;
+    } catch (error) {
+        return false;
+    }
+})();
+
+function createSqliteTestStore(filePath) {
+    return createStore('test', filePath, { backend: 'sqlite', debounceMs: 0, backupCount: 3 });
+}
+
+test('sqlite: imports the JSON file on first start, then saves and loads from the database', { skip: !hasSqlite && 'node:sqlite is not available' }, t => {
+    quietConsole(t);
+    const filePath = createTempFile(t);
+    fs.writeFileSync(filePath, JSON.stringify({ version: 1 }));
+
+    const store = createSqliteTestStore(filePath);
+    assert.deepStrictEqual(store.load(), { version: 1 });
+    store.save(() => ({ version: 2 }));
+    store.flush();
+
+    assert.ok(fs.existsSync(path.join(path.dirname(filePath), 'boss_tracker.db')));
+    // The JSON file is only read once; from now on the database is the source
+    fs.writeFileSync(filePath, JSON.stringify({ version: 'stale' }));
+    assert.deepStrictEqual(createSqliteTestStore(filePath).load(), { version: 2 });
+});
+
+test('sqlite: starts empty without a database document or JSON file', { skip: !hasSqlite && 'node:sqlite is not available' }, t => {
+    quietConsole(t);
+    const filePath = createTempFile(t);
+    assert.strictEqual(createSqliteTestStore(filePath).load(), null);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseDuration, parseKillTime, parseServerUpTime } = require('../timeparse');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+// 2026-10-19 12:00 in Berlin (UTC+2 until the end of October)
+const NOW = Date.UTC(2026, 9, 19, 10, 0);
+const TIME_ZONE = 'Europe/Berlin';
+
+const iso = timestamp => timestamp === null ? null : new Date(timestamp).toISOString();
+
+test('parseDuration reads day, hour and minute amounts', () => {
+    assert.strictEqual(parseDuration('25m'), 25 * MINUTE);
+    assert.strictEqual(parseDuration('1h 30m'), 90 * MINUTE);
+    assert.strictEqual(parseDuration('1.5 hours'), 90 * MINUTE);
+    assert.strictEqual(parseDuration('1d'), 24 * HOUR);
+    assert.strictEqual(parseDuration('5'), null);
+    assert.strictEqual(parseDuration('soon'), null);
+});
+
+test('parseKillTime reads now and relative times', () => {
+    assert.strictEqual(parseKillTime('now', TIME_ZONE, NOW), NOW);
+    assert.strictEqual(parseKillTime('-25m', TIME_ZONE, NOW), NOW - 25 * MINUTE);
+    assert.strictEqual(parseKillTime('25m ago', TIME_ZONE, NOW), NOW - 25 * MINUTE);
+    assert.strictEqual(parseKillTime('1h 5m ago', TIME_ZONE, NOW), NOW - 65 * MINUTE);
+    assert.strictEqual(parseKillTime('5 ago', TIME_ZONE, NOW), null);
+});
+
+test('parseKillTime reads HH:MM as the last such time in the time zone', () => {
+    assert.strictEqual(iso(parseKillTime('11:30', TIME_ZONE, NOW)), '2026-10-19T09:30:00.000Z');
+    assert.strictEqual(iso(parseKillTime('15:40', TIME_ZONE, NOW)), '2026-10-18T13:40:00.000Z');
+    assert.strictEqual(parseKillTime('24:00', TIME_ZONE, NOW), null);
+    assert.strictEqual(parseKillTime('12:60', TIME_ZONE, NOW), null);
+});
+
+test('parseKillTime reads full dates in the time zone or with an offset', () => {
+    assert.strictEqual(iso(parseKillTime('2026-10-18 21:00', TIME_ZONE, NOW)), '2026-10-18T19:00:00.000Z');
+    assert.strictEqual(iso(parseKillTime('2026-01-18 21:00', TIME_ZONE, NOW)), '2026-01-18T20:00:00.000Z');
+    assert.strictEqual(iso(parseKillTime('2026-10-18T21:00+09:00', TIME_ZONE, NOW)), '2026-10-18T12:00:00.000Z');
+    assert.strictEqual(iso(parseKillTime('2026-10-18 21:00 +09:00', TIME_ZONE, NOW)), '2026-10-18T12:00:00.000Z');
+    assert.strictEqual(iso(parseKillTime('2026-10-18 21:00z', TIME_ZONE, NOW)), '2026-10-18T21:00:00.000Z');
+});
+
+test('parseKillTime rejects days past the end of the month', () => {
+    assert.strictEqual(iso(parseKillTime('2024-02-29 10:00', 'UTC', NOW)), '2024-02-29T10:00:00.000Z');
+    assert.strictEqual(parseKillTime('2023-02-29 10:00', 'UTC', NOW), null);
+    assert.strictEqual(parseKillTime('2024-02-31 10:00', 'UTC', NOW), null);
+    assert.strictEqual(parseKillTime('2024-04-31 10:00', 'UTC', NOW), null);
+    assert.strictEqual(parseKillTime('2024-04-31 10:00+01:00', 'UTC', NOW), null);
+    assert.strictEqual(parseKillTime('2024-13-01 10:00', 'UTC', NOW), null);
+    assert.strictEqual(parseKillTime('garbage', 'UTC', NOW), null);
+});
+
+test('parseServerUpTime reads future times', () => {
+    assert.strictEqual(parseServerUpTime('in 2h', TIME_ZONE, NOW), NOW + 2 * HOUR);
+    assert.strictEqual(parseServerUpTime('+90m', TIME_ZONE, NOW), NOW + 90 * MINUTE);
+    assert.strictEqual(parseServerUpTime('10m ago', TIME_ZONE, NOW), NOW - 10 * MINUTE);
+    assert.strictEqual(parseServerUpTime('in a bit', TIME_ZONE, NOW), null);
+});
+
+test('parseServerUpTime reads HH:MM as the nearest such time', () => {
+    assert.strictEqual(iso(parseServerUpTime('11:30', TIME_ZONE, NOW)), '2026-10-19T09:30:00.000Z');
+    assert.strictEqual(iso(parseServerUpTime('14:00', TIME_ZONE, NOW)), '2026-10-19T12:00:00.000Z');
+    assert.strictEqual(iso(parseServerUpTime('23:00', TIME_ZONE, NOW)), '2026-10-19T21:00:00.000Z');
+    assert.strictEqual(iso(parseServerUpTime('01:00', TIME_ZONE, NOW)), '2026-10-18T23:00:00.000Z');
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { createWebhookSender } = require('../webhooks');
+
+// Collects retries instead of waiting for them; runNext() runs the earliest one
+function createFakeScheduler() {
+    const jobs = [];
+    return {
+        jobs,
+        schedule(id, runAt, handler, { type = null, data = {} } = {}) {
+            jobs.push({ id, runAt, handler, type, ...data });
+        },
+        runNext() {
+            return jobs.shift().handler();
+        },
+    };
+}
+
+function createSender({ statuses, retryDelaysMs = [10, 20] }) {
+    const scheduler = createFakeScheduler();
+    const requests = [];
+    const deadLetters = [];
+    const sender = createWebhookSender({
+        scheduler,
+        retryDelaysMs,
+        onDeadLetter: deadLetter => deadLetters.push(deadLetter),
+        fetchImpl: async (url, options) => {
+            requests.push({ url, ...options });
+            const status = statuses.shift();
+            if (status instanceof Error) throw status;
+            return { ok: status >= 200 && status < 300, status };
+        },
+    });
+    return { sender, scheduler, requests, deadLetters };
+}
+
+const delivery = { guildId: '111', webhookId: 'abc123', url: 'https://example.com/hook', secret: 'secret', event: 'kill', body: '{"event":"kill"}' };
+
+test('signs the timestamp and body with the secret', async () => {
+    const { sender, requests, deadLetters } = createSender({ statuses: [204] });
+    await sender.send(delivery);
+
+    assert.strictEqual(requests.length, 1);
+    const { headers, body } = requests[0];
+    assert.strictEqual(body, delivery.body);
+    assert.strictEqual(headers['X-Webhook-Event'], 'kill');
+    assert.match(headers['X-Webhook-Delivery'], /^[0-9a-f-]{36}$/);
+    const expected = crypto.createHmac('sha256', 'secret').update(`${headers['X-Webhook-Timestamp']}.${body}`).digest('hex');
+    assert.strictEqual(headers['X-Webhook-Signature'], `sha256=${expected}`);
+    assert.deepStrictEqual(deadLetters, []);
+});
+
+test('sends no signature without a secret', async () => {
+    const { sender, requests } = createSender({ statuses: [204] });
+    await sender.send({ ...delivery, secret: null });
+    assert.strictEqual(requests[0].headers['X-Webhook-Signature'], undefined);
+});
+
+test('retries network errors and retryable statuses as webhook jobs', async () => {
+    const { sender, scheduler, requests, deadLetters } = createSender({ statuses: [503, new Error('socket hang up'), 200] });
+    await sender.send(delivery);
+
+    assert.strictEqual(scheduler.jobs.length, 1);
+    assert.strictEqual(scheduler.jobs[0].type, 'webhook');
+    assert.strictEqual(scheduler.jobs[0].guildId, '111');
+    assert.strictEqual(scheduler.jobs[0].webhookId, 'abc123');
+
+    await scheduler.runNext();
+    await scheduler.runNext();
+    assert.strictEqual(requests.length, 3);
+    assert.strictEqual(scheduler.jobs.length, 0);
+    assert.deepStrictEqual(deadLetters, []);
+    // Every attempt is signed again with a fresh timestamp, under the same delivery id
+    assert.strictEqual(new Set(requests.map(request => request.headers['X-Webhook-Delivery'])).size, 1);
+});
+
+test('dead-letters a delivery once the retries run out', async () => {
+    const { sender, scheduler, requests, deadLetters } = createSender({ statuses: [500, 429, 502] });
+    await sender.send(delivery);
+    await scheduler.runNext();
+    await scheduler.runNext();
+
+    assert.strictEqual(requests.length, 3);
+    assert.strictEqual(scheduler.jobs.length, 0);
+    assert.strictEqual(deadLetters.length, 1);
+    assert.strictEqual(deadLetters[0].webhookId, 'abc123');
+    assert.strictEqual(deadLetters[0].attempts, 3);
+    assert.strictEqual(deadLetters[0].lastError, 'HTTP 502');
+});
+
+test('dead-letters other statuses without retrying', async () => {
+    const { sender, scheduler, deadLetters } = createSender({ statuses: [404] });
+    await sender.send(delivery);
+
+    assert.strictEqual(scheduler.jobs.length, 0);
+    assert.strictEqual(deadLetters.length, 1);
+    assert.strictEqual(deadLetters[0].attempts, 1);
+    assert.strictEqual(deadLetters[0].lastError, 'HTTP 404');
+});
@@ -0,0 +1,108 @@
+// Time zone math and the times users type in commands (kill times, server up times, durations).
+//
+// Wall-clock times are read in an IANA time zone through Intl, so daylight saving changes are
+// handled without a time zone database of our own. Every parser takes `now` so tests can fix it.
+
+// Offset of the time zone from UTC in milliseconds at the given instant.
+function getTimeZoneOffset(timeZone, timestamp) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(new Date(timestamp));
+    const get = type => parseInt(parts.find(part => part.type === type).value, 10);
+    const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Converts a wall-clock time in the time zone to a timestamp.
+function zonedTimeToTimestamp(year, month, day, hour, minute, timeZone) {
+    const wallClock = Date.UTC(year, month, day, hour, minute);
+    const offset = getTimeZoneOffset(timeZone, wallClock);
+    const correctedOffset = getTimeZoneOffset(timeZone, wallClock - offset);
+    return wallClock - correctedOffset;
+}
+
+// Parses durations such as "25m", "1h 30m" or "2h" into milliseconds.
+function parseDuration(text) {
+    const unitMs = { d: 24 * 60 * 60 * 1000, h: 60 * 60 * 1000, m: 60 * 1000 };
+    const regex = /(\d+(?:\.\d+)?)\s*(d|h|m)[a-z]*/g;
+    if (!/^\s*(\d+(?:\.\d+)?\s*(d|h|m)[a-z]*\s*)+$/.test(text)) return null;
+
+    let total = 0;
+    let match;
+    while (match = regex.exec(text)) {
+        total += parseFloat(match[1]) * unitMs[match[2]];
+    }
+    return total;
+}
+
+// Reads a kill time in the guild's time zone. Accepts "now", "HH:MM" (today, or yesterday if that
+// would be in the future), relative times ("-25m", "25m ago", "1h 5m ago") and full dates
+// ("YYYY-MM-DD HH:MM", or ISO 8601 with an explicit offset). Returns null for anything else.
+function parseKillTime(input, timeZone, now = Date.now()) {
+    const text = input.trim().toLowerCase();
+    if (text === 'now') return now;
+
+    const relative = text.match(/^-\s*(.+)$/) || text.match(/^(.+?)\s*ago$/);
+    if (relative) {
+        const duration = parseDuration(relative[1]);
+        return duration === null ? null : now - duration;
+    }
+
+    const timeOnly = text.match(/^(\d{1,2}):(\d{2})$/);
+    if (timeOnly) {
+        const hour = parseInt(timeOnly[1], 10);
+        const minute = parseInt(timeOnly[2], 10);
+        if (hour > 23 || minute > 59) return null;
+
+        const today = new Date(now + getTimeZoneOffset(timeZone, now));
+        let timestamp = zonedTimeToTimestamp(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate(), hour, minute, timeZone);
+        if (timestamp > now) {
+            timestamp = zonedTimeToTimestamp(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - 1, hour, minute, timeZone);
+        }
+        return timestamp;
+    }
+
+    const fullDate = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ t](\d{1,2}):(\d{2})(?::(\d{2}))?)?\s*(z|[+-]\d{2}:?\d{2})?$/);
+    if (fullDate) {
+        const [, year, month, day, hour = '0', minute = '0', second = '0', offset] = fullDate;
+        if (month < 1 || month > 12 || day < 1 || hour > 23 || minute > 59 || second > 59) return null;
+        // Day 0 of the next month is the last day of this one
+        if (day > new Date(Date.UTC(parseInt(year, 10), parseInt(month, 10), 0)).getUTCDate()) return null;
+        if (offset) {
+            const timestamp = Date.parse(text.toUpperCase().replace(/\s+/, 'T').replace(/\s+/g, ''));
+            return isNaN(timestamp) ? null : timestamp;
+        }
+        return zonedTimeToTimestamp(parseInt(year, 10), parseInt(month, 10) - 1, parseInt(day, 10), parseInt(hour, 10), parseInt(minute, 10), timeZone) + parseInt(second, 10) * 1000;
+    }
+
+    return null;
+}
+
+// Reads the time a game server is (or was) back up. Like parseKillTime, but also accepts future
+// times: "in 2h" or "+90m", and "HH:MM" is the nearest such time, today, yesterday or tomorrow.
+function parseServerUpTime(input, timeZone, now = Date.now()) {
+    const text = input.trim().toLowerCase();
+    const ahead = text.match(/^\+\s*(.+)$/) || text.match(/^in\s+(.+)$/);
+    if (ahead) {
+        const duration = parseDuration(ahead[1]);
+        return duration === null ? null : now + duration;
+    }
+
+    const timestamp = parseKillTime(text, timeZone, now);
+    if (timestamp !== null && /^\d{1,2}:\d{2}$/.test(text)) {
+        // parseKillTime picked the last occurrence; tomorrow's is nearer if that was over 12 hours ago
+        const tomorrow = parseKillTime(text, timeZone, now + 24 * 60 * 60 * 1000);
+        return now - timestamp > 12 * 60 * 60 * 1000 ? tomorrow : timestamp;
+    }
+    return timestamp;
+}
+
+module.exports = {
+    getTimeZoneOffset,
+    zonedTimeToTimestamp,
+    parseDuration,
+    parseKillTime,
+    parseServerUpTime,
+};
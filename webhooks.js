@@ -0,0 +1,66 @@
+// Outbound webhooks: POSTs JSON to configured URLs, with retries.
+//
+// Every request carries the event name, a delivery id and a timestamp in headers. When the
+// endpoint has a secret, X-Webhook-Signature is "sha256=" + the hex HMAC-SHA256 of
+// "<timestamp>.<body>" with that secret, so receivers can check the sender and reject replays.
+// Network errors, timeouts, 408, 429 and 5xx responses are retried after each delay in
+// retryDelaysMs; after the last one (or on any other status) the delivery goes to onDeadLetter.
+// Retries wait in the given scheduler as 'webhook' jobs carrying the delivery's guildId and
+// webhookId, so they can be cancelled with the webhook; pending ones are lost on restart.
+const crypto = require('crypto');
+
+const DEFAULT_RETRY_DELAYS_MS = [30, 60, 120, 300, 600].map(seconds => seconds * 1000);
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function isRetryableStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+function createWebhookSender({ scheduler, onDeadLetter, retryDelaysMs = DEFAULT_RETRY_DELAYS_MS, fetchImpl = fetch, userAgent = 'webhook-sender' }) {
+    async function attempt(delivery) {
+        delivery.attempts++;
+        let lastError;
+        let retryable = true;
+        try {
+            const timestamp = Math.floor(Date.now() / 1000).toString();
+            const headers = {
+                'Content-Type': 'application/json',
+                'User-Agent': userAgent,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': delivery.id,
+                'X-Webhook-Timestamp': timestamp,
+            };
+            if (delivery.secret) headers['X-Webhook-Signature'] = `sha256=${signPayload(delivery.secret, timestamp, delivery.body)}`;
+
+            const response = await fetchImpl(delivery.url, { method: 'POST', headers, body: delivery.body, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+            if (response.ok) return;
+            lastError = `HTTP ${response.status}`;
+            retryable = isRetryableStatus(response.status);
+        } catch (error) {
+            lastError = error.message;
+        }
+
+        const delay = retryDelaysMs[delivery.attempts - 1];
+        if (retryable && delay !== undefined) {
+            scheduler.schedule(`webhook_${delivery.id}`, Date.now() + delay, () => attempt(delivery), { type: 'webhook', data: { guildId: delivery.guildId, webhookId: delivery.webhookId } });
+            return;
+        }
+        onDeadLetter({ ...delivery, lastError, failedAt: Date.now() });
+    }
+
+    return {
+        // Sends { guildId, webhookId, url, secret?, event, body } (body is the JSON string); extra fields
+        // are kept and handed back with a dead letter. Resolves after the first attempt.
+        send(delivery) {
+            return attempt({ id: crypto.randomUUID(), ...delivery, attempts: 0 });
+        },
+    };
+}
+
+module.exports = {
+    createWebhookSender,
+};
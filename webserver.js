@@ -0,0 +1,158 @@
+// Optional built-in HTTP server (the calendar feed and the API). It only runs when HTTP_PORT is set.
+//
+// Routes are matched on method and path; path segments starting with ":" are parameters, and a
+// parameter can end in a fixed suffix (":token.ics"). A handler gets { method, path, params,
+// query, headers, body } and returns (or resolves to) { status, headers, body }, or { status, json }
+// for a JSON response. Request bodies sent as JSON are parsed; anything larger than
+// MAX_BODY_BYTES is refused. Everything a request runs is inside one try: a URL that can't be
+// parsed gets a 400 and an error thrown by a handler a 500, so one bad request can't take the bot down.
+const http = require('http');
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+class RequestError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            // The rest is still read (and dropped) so the 413 response reaches the client
+            if (size > MAX_BODY_BYTES) {
+                reject(new RequestError(413, 'Request body too large'));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+async function parseBody(request) {
+    if (request.method === 'GET' || request.method === 'HEAD') return null;
+    const text = await readBody(request);
+    if (!text) return null;
+    if (!/^application\/json\b/i.test(request.headers['content-type'] || '')) {
+        throw new RequestError(415, 'Request body must be application/json');
+    }
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new RequestError(400, 'Request body is not valid JSON');
+    }
+}
+
+function parseUrl(request) {
+    try {
+        return new URL(request.url, 'http://localhost');
+    } catch (error) {
+        throw new RequestError(400, 'Invalid request URL');
+    }
+}
+
+function compilePattern(pattern) {
+    return pattern.split('/').filter(Boolean).map(segment => {
+        const match = segment.match(/^:(\w+)(.*)$/);
+        return match ? { param: match[1], suffix: match[2] } : { literal: segment };
+    });
+}
+
+function matchPattern(compiled, pathname) {
+    const segments = pathname.split('/').filter(Boolean);
+    if (segments.length !== compiled.length) return null;
+
+    const params = {};
+    for (let index = 0; index < compiled.length; index++) {
+        const part = compiled[index];
+        let segment;
+        try {
+            segment = decodeURIComponent(segments[index]);
+        } catch (error) {
+            return null;
+        }
+        if (part.literal !== undefined) {
+            if (segment !== part.literal) return null;
+        } else {
+            if (!segment.endsWith(part.suffix) || segment.length === part.suffix.length) return null;
+            params[part.param] = segment.substring(0, segment.length - part.suffix.length);
+        }
+    }
+    return params;
+}
+
+function createWebServer({ port, host = '127.0.0.1' }) {
+    const routes = [];
+    let server = null;
+
+    function send(response, { status = 200, headers = {}, body = '', json }) {
+        if (json !== undefined) {
+            headers = { 'Content-Type': 'application/json; charset=utf-8', ...headers };
+            body = JSON.stringify(json);
+        }
+        response.writeHead(status, { 'Cache-Control': 'no-store', ...headers });
+        response.end(body);
+    }
+
+    async function handle(request, response) {
+        try {
+            const url = parseUrl(request);
+            const candidates = routes
+                .map(route => ({ route, params: matchPattern(route.compiled, url.pathname) }))
+                .filter(candidate => candidate.params);
+            const match = candidates.find(candidate => candidate.route.method === request.method);
+
+            if (!match) {
+                send(response, candidates.length > 0
+                    ? { status: 405, headers: { Allow: candidates.map(candidate => candidate.route.method).join(', ') }, body: 'Method not allowed' }
+                    : { status: 404, body: 'Not found' });
+                return;
+            }
+
+            send(response, await match.route.handler({
+                method: request.method,
+                path: url.pathname,
+                params: match.params,
+                query: url.searchParams,
+                headers: request.headers,
+                body: await parseBody(request),
+            }));
+        } catch (error) {
+            if (error instanceof RequestError) {
+                if (!response.headersSent) send(response, { status: error.status, json: { error: error.message } });
+                return;
+            }
+            console.error(`Web server: ${request.method} ${request.url} failed:`, error);
+            if (!response.headersSent) send(response, { status: 500, body: 'Internal server error' });
+        }
+    }
+
+    return {
+        route(method, pattern, handler) {
+            routes.push({ method: method.toUpperCase(), compiled: compilePattern(pattern), handler });
+        },
+
+        start() {
+            if (server) return;
+            server = http.createServer((request, response) => handle(request, response));
+            server.on('error', error => console.error('Web server error:', error));
+            server.listen(port, host, () => console.log(`Web server listening on http://${host}:${port}`));
+        },
+
+        stop() {
+            if (!server) return;
+            server.close();
+            server = null;
+        },
+    };
+}
+
+module.exports = {
+    createWebServer,
+};